@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { ConfigError, loadConfig, describeConfig, displayPath } = require('../src/config');
+
+// Uten disse kan ingen av importene kjøre
+const REQUIRED_SETTINGS = ['fiken.apiToken', 'fiken.companySlug'];
+
+function loadEnvironment() {
+  const envPath = path.join(__dirname, '..', '.env');
+  if (fs.existsSync(envPath)) {
+    dotenv.config({ path: envPath });
+  } else {
+    dotenv.config();
+  }
+}
+
+function parseArgs(argv) {
+  const options = { command: null, file: null, store: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--config' && argv[i + 1]) {
+      options.file = argv[i + 1];
+      i += 1;
+    } else if (arg === '--store' && argv[i + 1]) {
+      options.store = argv[i + 1];
+      i += 1;
+    } else if (!options.command) {
+      options.command = arg;
+    }
+  }
+  return options;
+}
+
+/**
+ * `config check`: validate the configuration (every store profile) and
+ * print the effective settings with their source, secrets masked. With
+ * `--store` the settings of that store are shown.
+ */
+function check(options) {
+  let config;
+  try {
+    config = loadConfig({ file: options.file, store: options.store, validateStores: true });
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+
+  console.log(`⚙️  Configuration from ${config.file ? displayPath(config.file) : 'environment only (no config file)'}`);
+  if (config.store) {
+    console.log(`   Store ${config.store}`);
+  } else if (config.storeNames.length) {
+    console.log(`   Stores: ${config.storeNames.join(', ')} (shared settings below; show one with --store)`);
+  }
+  let section = null;
+  for (const row of describeConfig(config)) {
+    const [group, name] = row.key.includes('.') ? row.key.split('.') : ['', row.key];
+    if (group !== section) {
+      section = group;
+      console.log(`\n${group || 'general'}`);
+    }
+    const value = row.value === null ? '-' : row.value;
+    console.log(`   ${name.padEnd(26)} ${String(value).padEnd(30)} ${row.source ? `(${row.source})` : ''}`.trimEnd());
+  }
+
+  // Med butikkprofiler må hver butikk ha Fiken-firma, ikke de felles innstillingene
+  const targets = config.store || !config.storeNames.length
+    ? [config]
+    : config.storeNames.map(name => config.forStore(name));
+  const missing = targets.flatMap(target => REQUIRED_SETTINGS
+    .filter(key => !key.split('.').reduce((node, part) => node?.[part], target.settings))
+    .map(key => (target === config ? key : `${key} (store ${target.store})`)));
+  if (missing.length) {
+    console.log(`\n⚠️  Not set: ${missing.join(', ')}`);
+    process.exit(1);
+  }
+  console.log('\n✅ Configuration is valid');
+}
+
+(() => {
+  loadEnvironment();
+  const options = parseArgs(process.argv.slice(2));
+  if (options.command !== 'check') {
+    console.error('Usage: npm run config -- check [--config <file>] [--store <name>]');
+    process.exit(1);
+  }
+  check(options);
+})();
@@ -5,6 +5,9 @@ const fs = require('fs');
 const dotenv = require('dotenv');
 const PDFDocument = require('pdfkit');
 const FikenAPI = require('../src/fiken.js');
+const { loadRateTable, lookupRate } = require('../src/currency');
+const { schedulerSettingsFromEnv } = require('../src/requestScheduler');
+const { loadConfigOrExit } = require('../src/config');
 
 function loadEnvironment() {
   const envPath = path.join(__dirname, '..', '.env');
@@ -15,12 +18,15 @@ function loadEnvironment() {
   }
 }
 
-function requireEnv(name) {
-  const value = process.env[name];
-  if (!value) {
-    throw new Error(`Environment variable ${name} is required`);
+function parseArgs(argv) {
+  const options = { store: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--store' && argv[i + 1]) {
+      options.store = argv[i + 1];
+      i += 1;
+    }
   }
-  return value;
+  return options;
 }
 
 function toOre(amount) {
@@ -29,28 +35,48 @@ function toOre(amount) {
 
 async function main() {
   loadEnvironment();
+  const options = parseArgs(process.argv.slice(2));
+  const config = loadConfigOrExit({ required: ['fiken.apiToken', 'fiken.companySlug'], store: options.store, requireStore: true });
+  const { settings } = config;
+
+  const apiToken = config.require('fiken.apiToken');
+  const companySlug = config.require('fiken.companySlug');
 
-  const apiToken = requireEnv('FIKEN_API_TOKEN');
-  const companySlug = requireEnv('FIKEN_COMPANY_SLUG');
+  // EXTERNAL_SALE_* beskriver bare dette ene test-salget og hører ikke hjemme i konfigurasjonen
 
-  const productNet = toOre(process.env.EXTERNAL_SALE_NET || '8');
-  const feeAmount = toOre(process.env.EXTERNAL_SALE_FEE || '2');
   const saleNumber = process.env.EXTERNAL_SALE_NUMBER || `SHOP-${Date.now()}`;
   const customerId = process.env.EXTERNAL_SALE_CUSTOMER_ID || '1234567890';
-  const description = process.env.EXTERNAL_SALE_DESCRIPTION || 'Test produkt API';
   const saleDate = process.env.EXTERNAL_SALE_DATE || new Date().toISOString().split('T')[0];
-  const bankAccount = process.env.EXTERNAL_SALE_BANK_ACCOUNT || process.env.BANK_ACCOUNT_CODE || '1920:12345';
-  const feeAccount = process.env.EXTERNAL_SALE_FEE_ACCOUNT || process.env.PAYMENT_FEE_ACCOUNT_CODE || '7770';
-  const incomeAccount = process.env.EXTERNAL_SALE_INCOME_ACCOUNT || process.env.SALES_ACCOUNT_CODE || '3010';
 
-  const fiken = new FikenAPI(apiToken);
+  // Beløp oppgis i EXTERNAL_SALE_CURRENCY og bokføres i NOK
+  const currency = (process.env.EXTERNAL_SALE_CURRENCY || 'NOK').toUpperCase();
+  const exchangeRate = currency === 'NOK'
+    ? 1
+    : parseFloat(process.env.EXTERNAL_SALE_EXCHANGE_RATE || '') || lookupRate(loadRateTable(settings.currency.exchangeRatesFile), currency, saleDate);
+  if (!exchangeRate) {
+    throw new Error(`No exchange rate for ${currency} on ${saleDate}; set EXTERNAL_SALE_EXCHANGE_RATE or EXCHANGE_RATES_FILE`);
+  }
+  const exchange = currency === 'NOK' ? null : { currency, rate: exchangeRate };
+
+  const productNet = toOre(parseFloat(process.env.EXTERNAL_SALE_NET || '8') * exchangeRate);
+  const feeAmount = toOre(parseFloat(process.env.EXTERNAL_SALE_FEE || '2') * exchangeRate);
+  const baseDescription = process.env.EXTERNAL_SALE_DESCRIPTION || 'Test produkt API';
+  const description = exchange ? `${baseDescription} (${currency}, kurs ${exchangeRate})` : baseDescription;
+  const bankAccount = process.env.EXTERNAL_SALE_BANK_ACCOUNT || settings.accounts.bank;
+  const feeAccount = process.env.EXTERNAL_SALE_FEE_ACCOUNT || settings.accounts.fee;
+  const incomeAccount = process.env.EXTERNAL_SALE_INCOME_ACCOUNT || settings.accounts.sales;
+
+  const fiken = new FikenAPI(apiToken, undefined, schedulerSettingsFromEnv(config.env));
 
   const vatAmount = Math.round(productNet * 0.25);
   const grossAmount = productNet + vatAmount;
 
-  console.log(`🧾 Creating external sale ${saleNumber}`);
+  console.log(`🧾 Creating external sale ${saleNumber}${config.store ? ` for store ${config.store} → ${companySlug}` : ''}`);
   console.log(`   Net: ${(productNet / 100).toFixed(2)} NOK, VAT: ${(vatAmount / 100).toFixed(2)} NOK, Gross: ${(grossAmount / 100).toFixed(2)} NOK`);
   console.log(`   Customer ID: ${customerId}`);
+  if (exchange) {
+    console.log(`   Converted from ${currency} at ${exchangeRate} NOK/${currency}`);
+  }
 
   const salePayload = {
     kind: 'external_invoice',
@@ -123,7 +149,8 @@ async function main() {
         feeAmount,
         grossAmount,
         netAmount: productNet,
-        vatAmount
+        vatAmount,
+        exchange
       });
 
       const filename = `shopify-order-${order.order_number || saleNumber}.pdf`;
@@ -199,6 +226,10 @@ function generateOrderPdf(order, context) {
       doc.text(`Fee: ${(context.feeAmount / 100).toFixed(2)} NOK`);
     }
 
+    if (context.exchange) {
+      doc.text(`Original currency: ${context.exchange.currency}, exchange rate ${context.exchange.rate} NOK per ${context.exchange.currency}`);
+    }
+
     doc.moveDown();
     doc.text('Payment Details');
     doc.text(`• Bank account: ${(context.bankPaymentAmount / 100).toFixed(2)} NOK`);
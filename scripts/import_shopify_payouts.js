@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const FikenAPI = require('../src/fiken.js');
+const JsonStore = require('../src/stateStore');
+const { schedulerSettingsFromEnv } = require('../src/requestScheduler');
+const { validateDate } = require('../src/orderSelection');
+const { payoutSettingsFromEnv, buildPayoutEntry } = require('../src/payouts');
+const { payoutSourceSettingsFromEnv, createPayoutSource } = require('../src/payoutSources');
+const { generatePayoutPdf, formatOre } = require('../src/pdf');
+const { loadConfigOrExit } = require('../src/config');
+
+function loadEnvironment() {
+  const envPath = path.join(__dirname, '..', '.env');
+  if (fs.existsSync(envPath)) {
+    dotenv.config({ path: envPath });
+  } else {
+    dotenv.config();
+  }
+}
+
+function parseArgs(argv) {
+  const options = { dryRun: false, from: null, to: null, payoutIds: [], source: null, store: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--from' && argv[i + 1]) {
+      options.from = validateDate(argv[i + 1], '--from');
+      i += 1;
+    } else if (arg === '--to' && argv[i + 1]) {
+      options.to = validateDate(argv[i + 1], '--to');
+      i += 1;
+    } else if (arg === '--payout' && argv[i + 1]) {
+      options.payoutIds.push(...argv[i + 1].split(',').map(id => id.trim()).filter(Boolean));
+      i += 1;
+    } else if (arg === '--store' && argv[i + 1]) {
+      options.store = argv[i + 1];
+      i += 1;
+    } else if (arg === '--source' && argv[i + 1]) {
+      options.source = argv[i + 1].toLowerCase();
+      i += 1;
+    }
+  }
+  if (options.from && options.to && options.from > options.to) {
+    throw new Error(`--from ${options.from} is after --to ${options.to}`);
+  }
+  return options;
+}
+
+/**
+ * Books Shopify Payments payouts as general journal entries in Fiken. Each
+ * payout is recorded in `state/payouts.json`, so it is only booked once.
+ */
+class ShopifyPayoutImport {
+  constructor(options, config) {
+    this.options = options;
+    this.store = config.store;
+    const { env } = config;
+
+    this.settings = payoutSettingsFromEnv(env);
+    const sourceSettings = payoutSourceSettingsFromEnv(env);
+    this.source = createPayoutSource({ ...sourceSettings, type: this.options.source || sourceSettings.type });
+    this.stateDir = config.settings.stateDir;
+
+    const apiToken = config.require('fiken.apiToken');
+    this.companySlug = config.require('fiken.companySlug');
+    this.fiken = new FikenAPI(apiToken, undefined, schedulerSettingsFromEnv(env));
+    this.payoutStore = new JsonStore(path.join(this.stateDir, 'payouts.json'));
+    this.stats = { booked: 0, skipped: 0, failed: 0 };
+  }
+
+  async importPayout(payout, transactions) {
+    const key = String(payout.id);
+    console.log(`\n🏦 Payout ${payout.id} (${payout.date}, ${payout.amount} ${payout.currency || 'NOK'})`);
+
+    if (payout.status && payout.status !== 'paid') {
+      console.log(`   Skipping, status is ${payout.status}`);
+      this.stats.skipped += 1;
+      return;
+    }
+    const existing = this.payoutStore.get(key);
+    if (existing?.status === 'completed') {
+      console.log(`   Already booked as journal entry ${existing.journalEntryId}`);
+      this.stats.skipped += 1;
+      return;
+    }
+
+    const { summary, payload } = buildPayoutEntry(payout, transactions, this.settings);
+    const orderNumbers = await this.source.orderNumbers(summary.orderIds);
+    const orders = summary.orderIds
+      .map(id => (orderNumbers.get(id) ? `#${orderNumbers.get(id)}` : `id ${id}`))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const lines = payload.journalEntries[0].lines;
+
+    lines.forEach(line => {
+      console.log(`   ${line.description}: ${line.debitAccount} → ${line.creditAccount} ${formatOre(line.amount)} NOK`);
+    });
+    console.log(`   Orders (${orders.length}): ${orders.join(', ') || 'none'}`);
+
+    if (this.options.dryRun) {
+      console.log(`   Dry-run: would create journal entry dated ${payout.date} with the ${lines.length} lines above`);
+      return;
+    }
+
+    let journalEntryId = existing?.journalEntryId;
+    if (!journalEntryId) {
+      const entry = await this.fiken.createVoucher(this.companySlug, payload);
+      journalEntryId = entry.journalEntryId;
+      this.payoutStore.set(key, {
+        payoutId: payout.id,
+        date: payout.date,
+        amount: summary.payoutAmount,
+        journalEntryId,
+        orders,
+        status: 'in-progress',
+        updatedAt: new Date().toISOString()
+      });
+      console.log(`✅ Journal entry created with ID ${journalEntryId}`);
+    }
+
+    const filename = `shopify-payout-${payout.id}.pdf`;
+    const pdfBuffer = await generatePayoutPdf(payout, transactions, {
+      summary,
+      settings: this.settings,
+      lines,
+      orders,
+      orderNumbers
+    });
+    await this.fiken.attachFileToJournalEntry(this.companySlug, journalEntryId, pdfBuffer, {
+      filename,
+      description: `Shopify Payments payout ${payout.id}`
+    });
+    this.payoutStore.update(key, { status: 'completed', attachment: filename, updatedAt: new Date().toISOString() });
+    console.log(`   Attached payout summary ${filename}`);
+    this.stats.booked += 1;
+  }
+
+  async run() {
+    const mode = this.options.dryRun ? ' (dry-run)' : '';
+    const target = this.store ? ` for store ${this.store} → ${this.companySlug}` : '';
+    console.log(`🚀 Importing Shopify Payments payouts${target} from ${this.source.describe()}${mode}`);
+    console.log(`   Clearing account ${this.settings.clearingAccount}, bank account ${this.settings.bankAccount}`);
+
+    for await (const { payout, transactions } of this.source.payouts(this.options)) {
+      try {
+        await this.importPayout(payout, transactions);
+      } catch (error) {
+        this.stats.failed += 1;
+        console.error(`❌ Failed to import payout ${payout.id}: ${error.message}`);
+        if (error.response?.data) {
+          console.error(`   Response: ${JSON.stringify(error.response.data)}`);
+        }
+      }
+    }
+
+    console.log(`\n🎉 Payout import completed: ${this.stats.booked} booked, ${this.stats.skipped} skipped, ${this.stats.failed} failed`);
+  }
+}
+
+(async () => {
+  loadEnvironment();
+  const options = parseArgs(process.argv.slice(2));
+  const config = loadConfigOrExit({ required: ['fiken.apiToken', 'fiken.companySlug'], store: options.store, requireStore: true });
+  const payoutImport = new ShopifyPayoutImport(options, config);
+  await payoutImport.run();
+})().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
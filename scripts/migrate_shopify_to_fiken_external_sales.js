@@ -5,6 +5,39 @@ const path = require('path');
 const dotenv = require('dotenv');
 const PDFDocument = require('pdfkit');
 const FikenAPI = require('../src/fiken.js');
+const { toOre } = require('../src/amounts');
+const { buildSaleLines, calculateTotals, applyRounding, lineSettingsFromEnv, getSaleNumber } = require('../src/saleLines');
+const RefundProcessor = require('../src/refunds');
+const CancellationProcessor = require('../src/cancellations');
+const JsonStore = require('../src/stateStore');
+const ImportLedger = require('../src/ledger');
+const { loadRateTable, convertOrderToNok } = require('../src/currency');
+const { CustomerIndex, customerSettingsFromEnv, getOrderCustomerKeys, isBusinessOrder, buildContactPayload } = require('../src/customers');
+const { schedulerSettingsFromEnv } = require('../src/requestScheduler');
+const { ProductCatalog, productSettingsFromEnv } = require('../src/products');
+const {
+  paymentSettingsFromEnv,
+  isFullyPaid,
+  splitPayments,
+  splitCapturedPayments,
+  getLastCaptureDate,
+  describePayment
+} = require('../src/payments');
+const { FEE_SOURCES, feeSettingsFromEnv, estimateFee, getActualFee, describeFeeSource } = require('../src/fees');
+const {
+  parseOrderNumbers,
+  readOrderNumbersFile,
+  getOrderDate,
+  validateDate
+} = require('../src/orderSelection');
+const { orderSourceSettingsFromEnv, createOrderSource } = require('../src/orderSources');
+const { explainOrderAccounts, describeRule } = require('../src/accountRules');
+const { loadConfigOrExit } = require('../src/config');
+const { RunReport } = require('../src/runReport');
+const { describeShipments } = require('../src/pdf');
+const { getDestinationCountry, isDomestic } = require('../src/vat');
+
+const { CreditLedger } = ImportLedger;
 
 function loadEnvironment() {
   const envPath = path.join(__dirname, '..', '.env');
@@ -15,214 +48,197 @@ function loadEnvironment() {
   }
 }
 
-function requireEnv(name) {
-  const value = process.env[name];
-  if (!value) {
-    throw new Error(`Environment variable ${name} is required`);
-  }
-  return value;
-}
-
 function parseArgs(argv) {
-  const options = { dryRun: false, limit: null };
+  const options = { dryRun: false, resume: false, limit: null, from: null, to: null, orderNumbers: [], ordersFile: null, source: null, store: null };
   for (let i = 0; i < argv.length; i += 1) {
     const arg = argv[i];
     if (arg === '--dry-run') {
       options.dryRun = true;
+    } else if (arg === '--resume') {
+      options.resume = true;
     } else if (arg === '--limit' && argv[i + 1]) {
       options.limit = parseInt(argv[i + 1], 10);
       i += 1;
+    } else if (arg === '--from' && argv[i + 1]) {
+      options.from = validateDate(argv[i + 1], '--from');
+      i += 1;
+    } else if (arg === '--to' && argv[i + 1]) {
+      options.to = validateDate(argv[i + 1], '--to');
+      i += 1;
+    } else if (arg === '--order' && argv[i + 1]) {
+      options.orderNumbers.push(...parseOrderNumbers([argv[i + 1]]));
+      i += 1;
+    } else if (arg === '--source' && argv[i + 1]) {
+      options.source = argv[i + 1].toLowerCase();
+      i += 1;
+    } else if (arg === '--store' && argv[i + 1]) {
+      options.store = argv[i + 1];
+      i += 1;
+    } else if (arg === '--orders-file' && argv[i + 1]) {
+      options.ordersFile = argv[i + 1];
+      i += 1;
     }
   }
-  return options;
-}
-
-function toNumber(value) {
-  if (typeof value === 'number') {
-    return Number.isFinite(value) ? value : 0;
+  if (options.ordersFile) {
+    options.orderNumbers.push(...readOrderNumbersFile(options.ordersFile));
   }
-  const parsed = parseFloat(value);
-  return Number.isFinite(parsed) ? parsed : 0;
-}
-
-function toOre(amount) {
-  return Math.round(toNumber(amount) * 100);
+  if (options.from && options.to && options.from > options.to) {
+    throw new Error(`--from ${options.from} is after --to ${options.to}`);
+  }
+  return options;
 }
 
 class ShopifyFikenExternalSaleMigration {
-  constructor(options) {
+  constructor(options, config) {
     this.options = options;
-
-    this.vatRate = parseFloat(process.env.VAT_RATE || '0.25');
-    this.bankAccount = process.env.BANK_ACCOUNT_CODE || '1920:10001';
-    this.salesAccount = process.env.SALES_ACCOUNT_CODE || '3000';
-    this.shippingAccount = process.env.SHIPPING_ACCOUNT_CODE || this.salesAccount;
-    this.feeAccount = process.env.PAYMENT_FEE_ACCOUNT_CODE || '7770';
-    this.feePercent = parseFloat(process.env.PAYMENT_FEE_PERCENT || '0');
-    this.feeAmountFixed = parseInt(process.env.PAYMENT_FEE_AMOUNT_ORE || '0', 10) || 0;
-    this.ordersPath = process.env.ORDERS_BACKUP_PATH || '/path/to/shopify/orders/backup';
-
-    const apiToken = requireEnv('FIKEN_API_TOKEN');
-    this.companySlug = requireEnv('FIKEN_COMPANY_SLUG');
-    this.fiken = new FikenAPI(apiToken);
-    this.customerCache = new Map();
+    this.store = config.store;
+    const { env, settings } = config;
+
+    this.lineSettings = lineSettingsFromEnv(env);
+    this.customerSettings = customerSettingsFromEnv(env);
+    this.paymentSettings = paymentSettingsFromEnv(env);
+    this.bankAccount = this.paymentSettings.bankAccount;
+    this.feeSettings = feeSettingsFromEnv(env);
+    this.feeAccount = this.feeSettings.account;
+    this.feeSources = {};
+    const sourceSettings = orderSourceSettingsFromEnv(env);
+    this.orderSource = createOrderSource({ ...sourceSettings, type: this.options.source || sourceSettings.type });
+    this.financialStatuses = settings.orders.financialStatuses;
+    this.stateDir = settings.stateDir;
+    this.reportDir = settings.reportDir;
+    this.rateTable = loadRateTable(settings.currency.exchangeRatesFile);
+
+    const apiToken = config.require('fiken.apiToken');
+    this.companySlug = config.require('fiken.companySlug');
+    this.fiken = new FikenAPI(apiToken, undefined, schedulerSettingsFromEnv(env));
+    this.customers = new CustomerIndex({ fiken: this.fiken, companySlug: this.companySlug });
+    if (productSettingsFromEnv(env).enabled) {
+      // Refusjonene bruker samme linjeoppsett og lenker dermed også til produktene
+      this.products = new ProductCatalog({ fiken: this.fiken, companySlug: this.companySlug, dryRun: this.options.dryRun });
+      this.lineSettings.products = this.products;
+    }
+    this.ledger = new ImportLedger(path.join(this.stateDir, 'ledger.json'));
+    this.credits = new CreditLedger(path.join(this.stateDir, 'credits.json'));
+    this.review = new JsonStore(path.join(this.stateDir, 'review.json'));
+    this.refunds = new RefundProcessor({
+      fiken: this.fiken,
+      companySlug: this.companySlug,
+      lineSettings: this.lineSettings,
+      paymentSettings: this.paymentSettings,
+      credits: this.credits,
+      dryRun: this.options.dryRun
+    });
+    this.cancellations = new CancellationProcessor({
+      fiken: this.fiken,
+      companySlug: this.companySlug,
+      paymentSettings: this.paymentSettings,
+      refunds: this.refunds,
+      store: new JsonStore(path.join(this.stateDir, 'cancellations.json')),
+      credits: this.credits,
+      saleNumberPrefix: this.lineSettings.saleNumberPrefix,
+      dryRun: this.options.dryRun
+    });
+    this.report = new RunReport({
+      kind: 'migration',
+      dryRun: this.options.dryRun,
+      store: this.store,
+      companySlug: this.companySlug
+    });
   }
 
-  loadShopifyOrders() {
-    if (!fs.existsSync(this.ordersPath)) {
-      throw new Error(`Orders directory not found: ${this.ordersPath}`);
+  async loadShopifyOrders() {
+    console.log(`📥 Reading orders from ${this.orderSource.describe()}`);
+    const orders = [];
+    for await (const order of this.orderSource.orders(this.options)) {
+      orders.push(order);
     }
 
-    const files = fs.readdirSync(this.ordersPath)
-      .filter(file => file.startsWith('ordre_') && file.endsWith('.json'))
-      .sort();
+    const selection = [
+      this.options.from && `from ${this.options.from}`,
+      this.options.to && `to ${this.options.to}`,
+      this.options.orderNumbers.length && `${this.options.orderNumbers.length} order number(s)`
+    ].filter(Boolean).join(', ');
+    if (selection) {
+      console.log(`🔎 ${orders.length} orders match ${selection}`);
+    }
 
-    const orders = [];
-    for (const file of files) {
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(this.ordersPath, file), 'utf8'));
-        orders.push(data);
-      } catch (error) {
-        console.warn(`⚠️  Failed to read order file ${file}: ${error.message}`);
+    if (this.options.orderNumbers.length) {
+      const found = new Set(orders.flatMap(order => [order.order_number, order.name, order.id].map(value => String(value).replace(/^#/, ''))));
+      const missing = this.options.orderNumbers.filter(number => !found.has(number));
+      if (missing.length) {
+        console.warn(`⚠️  Orders not found: ${missing.map(number => `#${number}`).join(', ')}`);
       }
     }
 
-    const paidOrders = orders.filter(order => order.financial_status === 'paid');
-    console.log(`📦 Loaded ${paidOrders.length} paid orders (${orders.length} total)`);
-    return paidOrders;
-  }
+    // Kildene leverer i ulik rekkefølge, så ordrene bokføres i datorekkefølge
+    orders.sort((a, b) => (getOrderDate(a) || '').localeCompare(getOrderDate(b) || '') || (a.order_number || 0) - (b.order_number || 0));
 
-  getCustomerKey(order) {
-    return order.customer?.email?.toLowerCase() || `order-${order.id}`;
+    // Kansellerte ordre som er bokført reverseres selv om statusen ikke importeres (f.eks. voided)
+    const selected = orders.filter(order => this.financialStatuses.includes(order.financial_status)
+      || (order.cancelled_at && this.ledger.get(order.id)));
+    console.log(`📦 Loaded ${selected.length} orders with status ${this.financialStatuses.join(', ')} (${orders.length} total)`);
+    return selected;
   }
 
   async getOrCreateCustomer(order) {
-    const key = this.getCustomerKey(order);
-    if (this.customerCache.has(key)) {
-      return this.customerCache.get(key);
+    await this.customers.load();
+
+    const match = this.customers.find(getOrderCustomerKeys(order, this.customerSettings));
+    if (match) {
+      console.log(`👤 Found existing customer ${match.contact.name} (${match.contact.contactId}) by ${match.matchedOn}`);
+      return match.contact;
     }
 
-    const email = order.customer?.email;
-    let customer = null;
+    const { contact, contactPerson } = buildContactPayload(order, this.customerSettings);
+    const kind = isBusinessOrder(order, this.customerSettings) ? 'company' : 'customer';
+    const label = `${contact.name}${contact.organizationNumber ? ` (org.nr ${contact.organizationNumber})` : ''}`;
+    if (this.options.dryRun) {
+      console.log(`   Dry-run: would create ${kind} ${label}${contact.email ? ` <${contact.email}>` : ''}`);
+      return null;
+    }
+
+    console.log(`✨ Creating new ${kind} in Fiken...`);
+    const created = await this.fiken.createCustomer(this.companySlug, contact);
+    const customer = { ...contact, ...created };
+    this.customers.add(customer);
+    console.log(`✅ Created ${kind} ${label} (${customer.contactId})`);
 
-    if (email) {
+    if (contactPerson && customer.contactId) {
       try {
-        const customers = await this.fiken.getCustomers(this.companySlug);
-        customer = customers.find(entry => entry.email?.toLowerCase() === email.toLowerCase()) || null;
-        if (customer) {
-          console.log(`👤 Found existing customer ${customer.name} (${customer.contactId})`);
-        }
+        await this.fiken.addContactPerson(this.companySlug, customer.contactId, contactPerson);
+        console.log(`   Contact person: ${contactPerson.name}`);
       } catch (error) {
-        console.warn(`⚠️  Unable to list customers: ${error.message}`);
-      }
-    }
-
-    if (!customer) {
-      const name = `${order.customer?.first_name || order.shipping_address?.first_name || ''} ${order.customer?.last_name || order.shipping_address?.last_name || ''}`.trim() || order.customer?.company || order.shipping_address?.name || 'Shopify Customer';
-      const payload = {
-        name,
-        email: order.customer?.email,
-        customer: true,
-        address: order.billing_address ? {
-          address1: order.billing_address.address1,
-          postalCode: order.billing_address.zip,
-          city: order.billing_address.city,
-          country: order.billing_address.country_code || 'NO'
-        } : undefined
-      };
-      if (!payload.address) {
-        delete payload.address;
+        console.warn(`⚠️  Failed to add contact person ${contactPerson.name}: ${error.message}`);
       }
-
-      console.log('✨ Creating new customer in Fiken...');
-      customer = await this.fiken.createCustomer(this.companySlug, payload);
-      console.log(`✅ Created customer ${customer.name} (${customer.contactId})`);
     }
-
-    this.customerCache.set(key, customer);
     return customer;
   }
 
-  async findSaleByNumber(saleNumber) {
-    try {
-      const sales = await this.fiken.request('GET', `/companies/${this.companySlug}/sales`, {
-        saleNumber,
-        pageSize: 1
-      });
-      return Array.isArray(sales) && sales.length > 0 ? sales[0] : null;
-    } catch (error) {
-      console.warn(`⚠️  Unable to search sale ${saleNumber}: ${error.message}`);
-      return null;
+  /**
+   * Make sure every SKU of the order has a Fiken product before the sale
+   * lines are built
+   */
+  async syncProducts(order) {
+    if (!this.products) {
+      return;
     }
+    const created = await this.products.syncOrder(order, this.lineSettings);
+    created.forEach(product => {
+      const label = `${product.productNumber} ${product.name} (${product.incomeAccount}, ${product.vatType})`;
+      console.log(this.options.dryRun ? `   Dry-run: would create product ${label}` : `📦 Created product ${label} (${product.productId})`);
+    });
   }
 
   buildSaleLines(order) {
-    const lines = [];
-
-    for (const item of order.line_items || []) {
-     const quantity = toNumber(item.quantity) || 1;
-     const unitGross = toNumber(item.price || item.price_set?.shop_money?.amount || 0);
-     const grossPerUnitOre = Math.round(unitGross * 100);
-     const netPerUnitOre = Math.round(grossPerUnitOre / (1 + this.vatRate));
-     const vatPerUnitOre = grossPerUnitOre - netPerUnitOre;
-      const lineNet = netPerUnitOre * quantity;
-      const lineVat = vatPerUnitOre * quantity;
-
-      lines.push({
-        description: item.title || 'Shopify product',
-        account: this.salesAccount,
-        vatType: 'HIGH',
-        netPrice: lineNet,
-        netAmount: lineNet,
-        vat: lineVat,
-        vatAmount: lineVat,
-        quantity: 1
-      });
-    }
-
-    for (const shipping of order.shipping_lines || []) {
-      const gross = toNumber(shipping.price || shipping.price_set?.shop_money?.amount || 0);
-      if (gross <= 0) {
-        continue;
-      }
-      const grossOre = Math.round(gross * 100);
-      const netOre = Math.round(grossOre / (1 + this.vatRate));
-      const vatOre = grossOre - netOre;
-
-      lines.push({
-        description: shipping.title || 'Shipping',
-        account: this.shippingAccount,
-        vatType: 'HIGH',
-        netPrice: netOre,
-        netAmount: netOre,
-        vat: vatOre,
-        vatAmount: vatOre,
-        quantity: 1
-      });
-    }
-
-    return lines;
+    return buildSaleLines(order, this.lineSettings);
   }
 
   calculateTotals(lines) {
-    let net = 0;
-    let vat = 0;
-    lines.forEach(line => {
-      net += line.netAmount;
-      vat += line.vatAmount;
-    });
-    return {
-      net,
-      vat,
-      gross: net + vat
-    };
+    return calculateTotals(lines);
   }
 
   computeFeeAmount(gross) {
-    let fee = this.feeAmountFixed;
-    if (this.feePercent > 0) {
-      fee += Math.round(gross * this.feePercent);
-    }
+    const fee = estimateFee(gross, this.feeSettings);
     if (fee >= gross) {
       console.warn('⚠️  Computed fee exceeds gross amount, ignoring fee.');
       return 0;
@@ -230,154 +246,627 @@ class ShopifyFikenExternalSaleMigration {
     return fee;
   }
 
-  async migrateOrder(order) {
-    const saleNumber = `#${order.order_number || order.id}`;
-    console.log(`\n🧾 Processing Shopify order #${order.order_number} (${saleNumber})`);
+  buildSalePayload(order, saleNumber, saleDate, customerId, lines) {
+    return {
+      kind: 'external_invoice',
+      saleNumber,
+      date: saleDate,
+      currency: 'NOK',
+      customerId,
+      lines: lines.map(line => ({
+        description: line.description,
+        account: line.account,
+        vatType: line.vatType,
+        netPrice: line.netPrice,
+        netAmount: line.netAmount,
+        vat: line.vat,
+        vatAmount: line.vatAmount,
+        quantity: line.quantity,
+        ...(line.productId ? { productId: line.productId } : {})
+      }))
+    };
+  }
 
+  async resolveCustomerId(order) {
     const customer = await this.getOrCreateCustomer(order);
     const customerId = customer.contactId || customer.customerId;
     if (!customerId) {
       throw new Error('Unable to resolve customerId for sale');
     }
+    return customerId;
+  }
+
+  async migrateOrder(order) {
+    const saleNumber = getSaleNumber(order, this.lineSettings);
+    console.log(`\n🧾 Processing Shopify order #${order.order_number} (${saleNumber})`);
+
+    const row = { orderId: order.id, orderNumber: order.order_number, saleNumber };
+    if (this.ledger.isCompleted(order.id)) {
+      const entry = this.ledger.get(order.id);
+      console.log(`ℹ️  Order already imported as ${saleNumber} (saleId ${entry.saleId}), skipping.`);
+      this.report.add({ ...row, outcome: 'skipped-existing', saleId: entry.saleId, paymentIds: this.ledgerPaymentIds(order.id) });
+      return;
+    }
 
-    const lines = this.buildSaleLines(order);
-    if (!lines.length) {
+    await this.syncProducts(order);
+    const built = this.buildSaleLines(order);
+    if (!built.length) {
       throw new Error('Order has no billable lines');
     }
 
+    const shopifyGross = toOre(order.total_price || order.current_total_price || (this.calculateTotals(built).gross / 100));
+    const rounding = applyRounding(built, shopifyGross, this.lineSettings);
+    if (rounding.review && !this.ledger.get(order.id)?.saleId) {
+      await this.sendToReview(order, saleNumber, rounding.difference);
+      this.report.add({ ...row, outcome: 'review', lines: built, shopifyTotal: shopifyGross, error: 'Difference from Shopify total exceeds rounding tolerance' });
+      return;
+    }
+    const { lines } = rounding;
     const totals = this.calculateTotals(lines);
-    const shopifyGross = toOre(order.total_price || order.current_total_price || (totals.gross / 100));
 
     console.log(`   Net: ${(totals.net / 100).toFixed(2)} NOK, VAT: ${(totals.vat / 100).toFixed(2)} NOK, Gross: ${(totals.gross / 100).toFixed(2)} NOK`);
-
-    if (Math.abs(shopifyGross - totals.gross) > 2) {
-      console.warn(`⚠️  Sale totals differ from Shopify by ${(shopifyGross - totals.gross) / 100} NOK`);
+    if (order.exchange) {
+      console.log(`   Converted from ${order.exchange.currency} ${order.exchange.originalTotal} at ${order.exchange.rate} (${order.exchange.source})`);
+    }
+    if (rounding.difference && !rounding.review) {
+      console.log(`   Rounding ${(rounding.difference / 100).toFixed(2)} NOK on ${this.lineSettings.roundingAccount}`);
+    }
+    this.resolveReview(order);
+
+    const saleDate = getOrderDate(order) || new Date().toISOString().split('T')[0];
+    Object.assign(row, { date: saleDate, lines, shopifyTotal: shopifyGross });
+    if (this.ledger.isAwaitingPayment(order.id)) {
+      const saleId = this.ledger.get(order.id).saleId;
+      const result = await this.registerCaptures(order, saleId, totals.gross, saleDate);
+      this.report.add({
+        ...row,
+        outcome: result.payments.length ? 'captured' : 'awaiting-payment',
+        saleId,
+        paymentIds: this.ledgerPaymentIds(order.id),
+        fee: result.fee.amount || null,
+        feeSource: result.fee.amount ? result.fee.source : null,
+        captured: result.payments.reduce((sum, payment) => sum + payment.amount, 0) || null
+      });
+      return;
     }
 
-    const saleDate = (order.processed_at || order.created_at || new Date().toISOString()).split('T')[0];
-
-    const salePayload = {
-      kind: 'external_invoice',
+    // Ikke ferdig betalt: salget bokføres nå, men bare det som er trukket registreres som betaling
+    const awaitingPayment = !isFullyPaid(order);
+    const grossPayments = awaitingPayment
+      ? splitCapturedPayments(order, totals.gross, this.paymentSettings)
+      : splitPayments(order, totals.gross, this.paymentSettings);
+    const giftCardAmount = grossPayments
+      .filter(payment => payment.type === 'giftCard')
+      .reduce((sum, payment) => sum + payment.amount, 0);
+    const paidByGateways = awaitingPayment
+      ? grossPayments.reduce((sum, payment) => sum + payment.amount, 0) - giftCardAmount
+      : totals.gross - giftCardAmount;
+    const fee = awaitingPayment ? { source: FEE_SOURCES.none, amount: 0, fees: [] } : this.resolveFee(order, paidByGateways);
+    if (awaitingPayment) {
+      console.log(`   ${order.financial_status}: ${((paidByGateways + giftCardAmount) / 100).toFixed(2)} of ${(totals.gross / 100).toFixed(2)} NOK captured, the rest is registered when it is captured`);
+    }
+    const feeAmount = fee.amount;
+    const payments = this.deductFee(grossPayments, fee);
+    if (grossPayments.length > 1) {
+      console.log(`   Split payment: ${grossPayments.map(payment => `${describePayment(payment)} ${(payment.amount / 100).toFixed(2)} NOK`).join(', ')}`);
+    }
+    const context = {
       saleNumber,
-      date: saleDate,
-      currency: 'NOK',
-      customerId,
-      lines: lines.map(line => ({
-        description: line.description,
-        account: line.account,
-        vatType: line.vatType,
-        netPrice: line.netPrice,
-        netAmount: line.netAmount,
-        vat: line.vat,
-        vatAmount: line.vatAmount,
-        quantity: line.quantity
-      }))
+      saleDate,
+      netAmount: totals.net,
+      vatAmount: totals.vat,
+      grossAmount: totals.gross,
+      payments,
+      giftCardAmount,
+      bankPaymentAmount: paidByGateways - feeAmount,
+      feeAmount,
+      feeSource: fee.source,
+      awaitingPayment,
+      exportCountry: isDomestic(order, this.lineSettings.vatSettings.homeCountry)
+        ? null
+        : getDestinationCountry(order, this.lineSettings.vatSettings.homeCountry),
+      exportVatType: this.lineSettings.vatSettings.exportVatType,
+      exportAccount: this.lineSettings.exportAccount
     };
 
     if (this.options.dryRun) {
-      console.log('   Dry-run: would create sale with payload');
-      console.log(JSON.stringify(salePayload, null, 2));
+      const customer = await this.getOrCreateCustomer(order);
+      const customerId = customer ? customer.contactId || customer.customerId : null;
+      explainOrderAccounts(order, this.lineSettings).forEach(({ title, account, rule }) => {
+        console.log(`   Account: ${title} → ${account} (${describeRule(rule)})`);
+      });
+      console.log(`   Dry-run: would create sale ${saleNumber} (${(totals.gross / 100).toFixed(2)} NOK)`);
+      // Planen ligger i rapporten; payload kommer bare med i JSON-filen
+      this.report.add({
+        ...row,
+        outcome: 'dry-run',
+        customerId,
+        fee: feeAmount,
+        feeSource: fee.source,
+        payments: payments.map(payment => ({ account: payment.account, amount: payment.amount, gateways: payment.gateways })),
+        payload: this.buildSalePayload(order, saleNumber, saleDate, customerId, lines)
+      });
       return;
     }
 
-    const existingSale = await this.findSaleByNumber(saleNumber);
-    if (existingSale) {
-      console.log(`ℹ️  Sale ${saleNumber} already exists (saleId ${existingSale.saleId}), skipping creation.`);
-
-      const needsAttachment = !(existingSale.saleAttachments || []).some(att => att.downloadUrl?.includes(`shopify-order-${order.order_number || order.id}.pdf`));
-      if (needsAttachment) {
-        try {
-          const pdfBuffer = await generateOrderPdf(order, {
-            saleNumber,
-            saleDate,
-            netAmount: totals.net,
-            vatAmount: totals.vat,
-            grossAmount: totals.gross,
-            bankPaymentAmount: totals.gross,
-            feeAmount: this.computeFeeAmount(totals.gross)
-          });
-          const filename = `shopify-order-${order.order_number || order.id}.pdf`;
-          await this.fiken.attachFileToSale(this.companySlug, existingSale.saleId, pdfBuffer, {
-            filename,
-            description: `Shopify order #${order.order_number || order.id}`
-          });
-          console.log(`   Attached order summary ${filename} to existing sale`);
-        } catch (error) {
-          console.error(`⚠️  Failed to attach order summary to existing sale: ${error.message}`);
-        }
+    let saleId = this.ledger.get(order.id)?.saleId;
+    if (saleId) {
+      if (!this.options.resume) {
+        console.warn(`⚠️  Sale ${saleNumber} (saleId ${saleId}) is only partly imported, run with --resume to finish it.`);
+        this.report.add({ ...row, outcome: 'skipped-incomplete', saleId, paymentIds: this.ledgerPaymentIds(order.id) });
+        return;
+      }
+      console.log(`🔁 Resuming ${saleNumber} (saleId ${saleId})`);
+      row.outcome = 'resumed';
+    } else {
+      // Feiler oppslaget, feiler ordren; et ukjent svar må aldri gi et dobbelt salg
+      const existingSale = await this.fiken.findSaleByNumber(this.companySlug, saleNumber);
+      if (existingSale && !this.options.resume) {
+        console.log(`ℹ️  Sale ${saleNumber} already exists (saleId ${existingSale.saleId}), skipping creation.`);
+        await this.attachToExistingSale(order, existingSale, { ...context, payments: grossPayments, bankPaymentAmount: paidByGateways });
+        this.report.add({
+          ...row,
+          outcome: 'skipped-existing',
+          saleId: existingSale.saleId,
+          customerId: existingSale.customer?.contactId || existingSale.customerId
+        });
+        return;
       }
 
+      if (existingSale) {
+        saleId = existingSale.saleId;
+        await this.adoptExistingSale(order, saleNumber, saleId);
+        console.log(`🔁 Resuming existing sale ${saleNumber} (saleId ${saleId}) not found in ledger`);
+        row.outcome = 'resumed';
+      } else {
+        row.customerId = await this.resolveCustomerId(order);
+        const sale = await this.fiken.createSale(this.companySlug, this.buildSalePayload(order, saleNumber, saleDate, row.customerId, lines));
+        saleId = sale.saleId;
+        this.ledger.recordSale(order, saleNumber, saleId);
+        console.log(`✅ Sale created with ID ${saleId}`);
+      }
+    }
+
+    const { attachmentError } = await this.completeSale(order, saleId, context);
+    if (awaitingPayment && this.ledger.isAwaitingPayment(order.id)) {
+      await this.registerCaptures(order, saleId, totals.gross, saleDate);
+    }
+    this.report.add({
+      outcome: 'created',
+      ...row,
+      saleId,
+      paymentIds: this.ledgerPaymentIds(order.id),
+      fee: feeAmount,
+      feeSource: fee.source,
+      ...(attachmentError ? { error: `Attachment failed: ${attachmentError}` } : {})
+    });
+  }
+
+  /**
+   * Put an order whose lines do not add up to the Shopify total on the
+   * review list instead of booking it. It is tried again on the next run.
+   */
+  async sendToReview(order, saleNumber, difference) {
+    console.warn(`⚠️  Sale totals differ from Shopify by ${(difference / 100).toFixed(2)} NOK (tolerance ${(this.lineSettings.roundingTolerance / 100).toFixed(2)} NOK), sent to review.`);
+    if (this.options.dryRun) {
       return;
     }
+    this.review.set(order.id, {
+      orderId: order.id,
+      orderNumber: order.order_number,
+      saleNumber,
+      difference,
+      shopifyTotal: order.total_price,
+      status: 'pending',
+      at: new Date().toISOString()
+    });
+  }
+
+  resolveReview(order) {
+    if (!this.options.dryRun && this.review.get(order.id)?.status === 'pending') {
+      this.review.update(order.id, { status: 'resolved', resolvedAt: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * Fiken payment IDs (payments and fee) the ledger holds for an order
+   */
+  ledgerPaymentIds(orderId) {
+    return Object.values(this.ledger.get(orderId)?.steps || {})
+      .map(step => step.paymentId)
+      .filter(Boolean);
+  }
+
+  async attachToExistingSale(order, existingSale, context) {
+    const needsAttachment = !(existingSale.saleAttachments || []).some(att => att.downloadUrl?.includes(`shopify-order-${order.order_number || order.id}.pdf`));
+    if (!needsAttachment) {
+      return;
+    }
+    try {
+      const pdfBuffer = await generateOrderPdf(order, context);
+      const filename = `shopify-order-${order.order_number || order.id}.pdf`;
+      await this.fiken.attachFileToSale(this.companySlug, existingSale.saleId, pdfBuffer, {
+        filename,
+        description: `Shopify order #${order.order_number || order.id}`
+      });
+      console.log(`   Attached order summary ${filename} to existing sale`);
+    } catch (error) {
+      console.error(`⚠️  Failed to attach order summary to existing sale: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take over a sale created before the ledger existed (or by a crashed run
+   * that never wrote its ledger entry). Payments and attachments already in
+   * Fiken are recorded so they are not registered twice.
+   */
+  async adoptExistingSale(order, saleNumber, saleId) {
+    const sale = await this.fiken.getSale(this.companySlug, saleId);
+    this.ledger.recordSale(order, saleNumber, saleId, { adopted: true });
+
+    for (const payment of sale.salePayments || []) {
+      const step = payment.account === this.feeAccount ? 'feePayment' : this.paymentStep(payment);
+      if (!this.ledger.hasStep(order.id, step)) {
+        this.ledger.recordStep(order.id, step, {
+          paymentId: payment.paymentId,
+          amount: payment.amount,
+          account: payment.account,
+          adopted: true
+        });
+      }
+    }
 
-    const sale = await this.fiken.createSale(this.companySlug, salePayload);
-    const saleId = sale.saleId;
-    console.log(`✅ Sale created with ID ${saleId}`);
+    if ((sale.saleAttachments || []).length) {
+      this.ledger.recordStep(order.id, 'attachment', { adopted: true });
+    }
+  }
+
+  /**
+   * Ledger step of a payment. The bank and gift card accounts keep the step
+   * names older ledgers use, other settlement accounts get `payment:<account>`.
+   */
+  paymentStep(payment) {
+    if (payment.account === this.bankAccount) {
+      return 'bankPayment';
+    }
+    if (payment.account === this.paymentSettings.giftCardAccount) {
+      return 'giftCardPayment';
+    }
+    return `payment:${payment.account}`;
+  }
 
-    const feeAmount = this.computeFeeAmount(totals.gross);
-    const bankPaymentAmount = feeAmount > 0 ? totals.gross - feeAmount : totals.gross;
+  /**
+   * The fee the payment providers charged, from balance transactions or
+   * order transactions. The PAYMENT_FEE_* estimate is only used when the
+   * order has no fee data.
+   */
+  resolveFee(order, paidByGateways) {
+    const actual = paidByGateways > 0 ? getActualFee(order) : null;
+    let fee;
+    if (actual && actual.amount < paidByGateways) {
+      fee = actual;
+    } else {
+      if (actual) {
+        console.warn(`⚠️  Fee from ${describeFeeSource(actual.source)} exceeds the amount paid, using estimate.`);
+      }
+      const amount = paidByGateways > 0 ? this.computeFeeAmount(paidByGateways) : 0;
+      fee = { source: amount > 0 ? FEE_SOURCES.estimate : FEE_SOURCES.none, amount, fees: [] };
+    }
+    this.feeSources[fee.source] = (this.feeSources[fee.source] || 0) + 1;
+    if (fee.amount > 0) {
+      console.log(`   Fee ${(fee.amount / 100).toFixed(2)} NOK (${describeFeeSource(fee.source)})`);
+    }
+    return fee;
+  }
 
-    if (bankPaymentAmount > 0) {
-      await this.fiken.addSalePayment(this.companySlug, saleId, {
+  /**
+   * The gateway keeps its fee before paying out, so each fee is taken off the
+   * payment of the gateway that charged it, or the largest gateway payment
+   */
+  deductFee(payments, fee) {
+    const gatewayPayments = payments.filter(payment => payment.type === 'gateway');
+    if (!fee.amount || !gatewayPayments.length) {
+      return payments;
+    }
+    const largest = gatewayPayments.reduce((max, payment) => (payment.amount > max.amount ? payment : max));
+    const deductions = new Map();
+    const fees = fee.fees.length ? fee.fees : [{ gateway: null, amount: fee.amount }];
+    for (const entry of fees) {
+      const payment = gatewayPayments.find(candidate => candidate.gateways.includes(entry.gateway)) || largest;
+      deductions.set(payment, (deductions.get(payment) || 0) + entry.amount);
+    }
+    return payments.map(payment => (deductions.has(payment) ? { ...payment, amount: payment.amount - deductions.get(payment) } : payment));
+  }
+
+  /**
+   * Register payments and attachment for a sale, skipping every step the
+   * ledger already has. A failed attachment does not hold the order back:
+   * it is completed anyway and `attachmentError` is returned for the report.
+   */
+  async completeSale(order, saleId, context) {
+    const { saleDate, feeAmount } = context;
+    // Ordre som ikke er ferdig betalt får betalingene sine av registerCaptures
+    const payments = context.awaitingPayment ? [] : context.payments;
+
+    for (const entry of payments) {
+      const step = this.paymentStep(entry);
+      if (entry.amount <= 0 || this.ledger.hasStep(order.id, step)) {
+        continue;
+      }
+      const payment = await this.fiken.addSalePayment(this.companySlug, saleId, {
         date: saleDate,
-        account: this.bankAccount,
-        amount: bankPaymentAmount
+        account: entry.account,
+        amount: entry.amount
+      });
+      this.ledger.recordStep(order.id, step, {
+        paymentId: payment.paymentId,
+        amount: entry.amount,
+        account: entry.account,
+        gateways: entry.gateways
       });
-      console.log(`   Registered bank payment ${(bankPaymentAmount / 100).toFixed(2)} NOK`);
+      console.log(`   Registered ${describePayment(entry)} payment ${(entry.amount / 100).toFixed(2)} NOK on ${entry.account}`);
     }
 
-    if (feeAmount > 0) {
-      await this.fiken.addSalePayment(this.companySlug, saleId, {
+    if (feeAmount > 0 && !this.ledger.hasStep(order.id, 'feePayment')) {
+      const payment = await this.fiken.addSalePayment(this.companySlug, saleId, {
         date: saleDate,
         account: this.feeAccount,
         amount: feeAmount
       });
+      this.ledger.recordStep(order.id, 'feePayment', {
+        paymentId: payment.paymentId,
+        amount: feeAmount,
+        account: this.feeAccount,
+        source: context.feeSource
+      });
       console.log(`   Registered fee ${(feeAmount / 100).toFixed(2)} NOK on ${this.feeAccount}`);
     }
 
-    try {
-      const pdfBuffer = await generateOrderPdf(order, {
-        saleNumber,
-        saleDate,
-        netAmount: totals.net,
-        vatAmount: totals.vat,
-        grossAmount: totals.gross,
-        bankPaymentAmount,
-        feeAmount
+    let attachmentError = null;
+    if (!this.ledger.hasStep(order.id, 'attachment')) {
+      try {
+        const pdfBuffer = await generateOrderPdf(order, context);
+        const filename = `shopify-order-${order.order_number || order.id}.pdf`;
+        await this.fiken.attachFileToSale(this.companySlug, saleId, pdfBuffer, {
+          filename,
+          description: `Shopify order #${order.order_number || order.id}`
+        });
+        this.ledger.recordStep(order.id, 'attachment', { filename });
+        console.log(`   Attached order summary ${filename}`);
+      } catch (error) {
+        // Salget er bokført og betalt; vedlegget vises som no-attachment i avstemmingen
+        attachmentError = error.message;
+        this.ledger.recordStep(order.id, 'attachmentFailed', { error: error.message });
+        console.error(`⚠️  Failed to attach order summary, sale completed without it: ${error.message}`);
+      }
+    }
+
+    if (context.awaitingPayment) {
+      this.ledger.markAwaitingPayment(order.id);
+    } else {
+      this.ledger.markCompleted(order.id);
+    }
+    return { attachmentError };
+  }
+
+  /**
+   * Register the money captured since the last run on a sale that was
+   * booked before the order was fully paid, one payment per settlement
+   * account. The fee is taken off the capture that completes the payment,
+   * and the ledger entry is completed with it.
+   */
+  async registerCaptures(order, saleId, gross, saleDate) {
+    const fullyPaid = isFullyPaid(order);
+    const captured = fullyPaid
+      ? splitPayments(order, gross, this.paymentSettings)
+      : splitCapturedPayments(order, gross, this.paymentSettings);
+    const registered = this.ledger.capturedByAccount(order.id);
+    const newCaptures = captured
+      .map(payment => ({ ...payment, amount: payment.amount - (registered[payment.account] || 0) }))
+      .filter(payment => payment.amount > 0);
+
+    let fee = { source: FEE_SOURCES.none, amount: 0, fees: [] };
+    if (fullyPaid && !this.ledger.hasStep(order.id, 'feePayment')) {
+      const giftCardAmount = captured
+        .filter(payment => payment.type === 'giftCard')
+        .reduce((sum, payment) => sum + payment.amount, 0);
+      fee = this.resolveFee(order, gross - giftCardAmount);
+      const newGatewayAmount = newCaptures
+        .filter(payment => payment.type === 'gateway')
+        .reduce((sum, payment) => sum + payment.amount, 0);
+      if (fee.amount > 0 && fee.amount >= newGatewayAmount) {
+        console.warn(`⚠️  Fee ${(fee.amount / 100).toFixed(2)} NOK exceeds the last capture, not booked.`);
+        fee = { source: FEE_SOURCES.none, amount: 0, fees: [] };
+      }
+    }
+
+    const payments = this.deductFee(newCaptures, fee);
+    const date = getLastCaptureDate(order) || saleDate;
+    if (this.options.dryRun) {
+      payments.forEach(payment => {
+        console.log(`   Dry-run: would register captured ${describePayment(payment)} payment ${(payment.amount / 100).toFixed(2)} NOK on ${payment.account}`);
       });
-      const filename = `shopify-order-${order.order_number || order.id}.pdf`;
-      await this.fiken.attachFileToSale(this.companySlug, saleId, pdfBuffer, {
-        filename,
-        description: `Shopify order #${order.order_number || order.id}`
+      return { payments, fee, fullyPaid };
+    }
+
+    const steps = Object.keys(this.ledger.get(order.id).steps || {});
+    for (const [index, payment] of payments.entries()) {
+      const count = steps.filter(step => step.startsWith(`capture:${payment.account}:`)).length;
+      const step = `capture:${payment.account}:${count + 1}`;
+      const result = await this.fiken.addSalePayment(this.companySlug, saleId, {
+        date,
+        account: payment.account,
+        amount: payment.amount
       });
-      console.log(`   Attached order summary ${filename}`);
-    } catch (error) {
-      console.error(`⚠️  Failed to attach order summary: ${error.message}`);
+      this.ledger.recordStep(order.id, step, {
+        paymentId: result.paymentId,
+        amount: payment.amount,
+        captured: newCaptures[index].amount,
+        account: payment.account,
+        gateways: payment.gateways
+      });
+      steps.push(step);
+      console.log(`   Registered captured ${describePayment(payment)} payment ${(payment.amount / 100).toFixed(2)} NOK on ${payment.account}`);
+    }
+
+    if (fee.amount > 0) {
+      const payment = await this.fiken.addSalePayment(this.companySlug, saleId, {
+        date,
+        account: this.feeAccount,
+        amount: fee.amount
+      });
+      this.ledger.recordStep(order.id, 'feePayment', {
+        paymentId: payment.paymentId,
+        amount: fee.amount,
+        account: this.feeAccount,
+        source: fee.source
+      });
+      console.log(`   Registered fee ${(fee.amount / 100).toFixed(2)} NOK on ${this.feeAccount}`);
+    }
+
+    if (fullyPaid) {
+      this.ledger.markCompleted(order.id);
+    } else {
+      const total = Object.values(this.ledger.capturedByAccount(order.id)).reduce((sum, amount) => sum + amount, 0);
+      console.log(`   Awaiting payment: ${((gross - total) / 100).toFixed(2)} NOK not captured yet`);
+    }
+    return { payments, fee, fullyPaid };
+  }
+
+  async migrateRefunds(order) {
+    if (order.refunds?.length) {
+      await this.syncProducts(order);
+    }
+    for (const refund of order.refunds || []) {
+      const result = await this.refunds.processRefund(order, refund);
+      this.reportRefund(order, refund.id, result);
+      if (result.saleId) {
+        this.ledger.recordRefund(order.id, refund.id, {
+          saleNumber: result.saleNumber,
+          saleId: result.saleId,
+          status: result.status
+        });
+      }
+      if (result.status === 'created') {
+        console.log(`↩️  Credited refund ${refund.id} as ${result.saleNumber} (${(result.totals.gross / 100).toFixed(2)} NOK, saleId ${result.saleId})`);
+      } else if (result.status === 'resumed') {
+        console.log(`🔁 Finished paying back refund ${result.saleNumber} (saleId ${result.saleId})`);
+      } else if (result.status === 'skipped-existing') {
+        console.log(`ℹ️  Refund ${result.saleNumber} already exists (saleId ${result.saleId}), skipping.`);
+      } else if (result.status === 'dry-run') {
+        console.log(`   Dry-run: would credit refund ${refund.id} as ${result.saleNumber} (${(result.totals.gross / 100).toFixed(2)} NOK)`);
+      }
+    }
+  }
+
+  /**
+   * Report row for a refund; the credited lines count negatively in the
+   * run totals
+   */
+  reportRefund(order, refundId, result) {
+    this.report.add({
+      type: 'refund',
+      orderId: order.id,
+      orderNumber: order.order_number,
+      refundId,
+      date: result.date || null,
+      outcome: result.status,
+      saleNumber: result.saleNumber,
+      saleId: result.saleId || null,
+      lines: result.lines,
+      sign: -1,
+      ...(result.salePayload ? { payload: result.salePayload } : {})
+    });
+  }
+
+  async migrateCancellation(order) {
+    console.log(`\n🚫 Processing cancelled Shopify order #${order.order_number} (cancelled ${order.cancelled_at})`);
+    const result = await this.cancellations.processCancellation(order);
+    (result.refunds || []).forEach(refund => this.reportRefund(order, refund.refundId, refund));
+    this.report.add({
+      type: 'cancellation',
+      orderId: order.id,
+      orderNumber: order.order_number,
+      date: (order.cancelled_at || '').split('T')[0] || null,
+      outcome: result.status,
+      saleNumber: result.creditSaleNumber || result.saleNumber,
+      saleId: result.creditSaleId || result.saleId || null,
+      lines: result.lines,
+      sign: -1
+    });
+    if (result.status === 'reversed') {
+      console.log(`↩️  Reversed ${result.saleNumber} with ${result.creditSaleNumber} (${(result.creditedAmount / 100).toFixed(2)} NOK)`);
+    } else if (result.status === 'reversed-by-refunds') {
+      console.log(`↩️  ${result.saleNumber} fully credited by refunds ${result.refundSaleNumbers.join(', ')}`);
+    } else if (result.status === 'skipped-not-booked') {
+      console.log(`ℹ️  ${result.saleNumber} was never booked in Fiken, recorded as skipped.`);
+    } else if (result.status === 'already-processed') {
+      console.log(`ℹ️  Cancellation already processed at ${result.processedAt} (${result.saleNumber}), skipping.`);
+    } else if (result.status === 'dry-run') {
+      console.log(`   Dry-run: would reverse ${result.saleNumber} as ${result.creditSaleNumber || 'n/a'}`);
     }
   }
 
   async run() {
-    const orders = this.loadShopifyOrders();
+    const orders = await this.loadShopifyOrders();
     const limit = this.options.limit && this.options.limit > 0
       ? Math.min(this.options.limit, orders.length)
       : orders.length;
 
-    console.log(`🚀 Starting external sale migration for ${limit} orders${this.options.dryRun ? ' (dry-run)' : ''}`);
+    const mode = [this.options.dryRun && 'dry-run', this.options.resume && 'resume'].filter(Boolean).join(', ');
+    const target = this.store ? ` for store ${this.store} → ${this.companySlug}` : '';
+    console.log(`🚀 Starting external sale migration${target} for ${limit} orders${mode ? ` (${mode})` : ''}`);
 
     for (let index = 0; index < limit; index += 1) {
       const order = orders[index];
       try {
-        await this.migrateOrder(order);
+        const nokOrder = convertOrderToNok(order, { rateTable: this.rateTable });
+        if (nokOrder.cancelled_at) {
+          await this.migrateCancellation(nokOrder);
+          continue;
+        }
+        await this.migrateOrder(nokOrder);
+        await this.migrateRefunds(nokOrder);
       } catch (error) {
         console.error(`❌ Failed to migrate order #${order.order_number}: ${error.message}`);
         if (error.response?.data) {
           console.error(`   Response: ${JSON.stringify(error.response.data)}`);
         }
+        // Har salget fått sin rad, var det en refusjon som feilet
+        const saleReported = this.report.rows.some(row => row.type === 'sale' && row.orderId === order.id);
+        this.report.add({
+          type: order.cancelled_at ? 'cancellation' : saleReported ? 'refund' : 'sale',
+          orderId: order.id,
+          orderNumber: order.order_number,
+          saleNumber: getSaleNumber(order, this.lineSettings),
+          outcome: 'failed',
+          error: error.response?.data ? `${error.message}: ${JSON.stringify(error.response.data)}` : error.message
+        });
       }
     }
 
+    const feeSources = Object.entries(this.feeSources).map(([source, count]) => `${source} ${count}`);
+    if (feeSources.length) {
+      console.log(`\n💸 Fee sources: ${feeSources.join(', ')}`);
+    }
+    const pending = this.review.values().filter(entry => entry.status === 'pending');
+    if (pending.length) {
+      console.log(`\n🔎 ${pending.length} order(s) waiting for review in ${this.review.filePath}`);
+    }
+    this.printReportSummary();
     console.log('\n🎉 External sale migration completed');
   }
+
+  printReportSummary() {
+    const { outcomes, booked } = this.report.totals();
+    console.log(`\n📊 Outcomes: ${Object.entries(outcomes).map(([outcome, count]) => `${outcome} ${count}`).join(', ') || 'none'}`);
+    console.log(`   ${this.options.dryRun ? 'Would book' : 'Booked'}: net ${(booked.net / 100).toFixed(2)} NOK, VAT ${(booked.vat / 100).toFixed(2)} NOK, gross ${(booked.gross / 100).toFixed(2)} NOK`);
+    Object.entries(booked.byVatType).forEach(([vatType, amounts]) => {
+      console.log(`   ${vatType}: net ${(amounts.net / 100).toFixed(2)} NOK, VAT ${(amounts.vat / 100).toFixed(2)} NOK`);
+    });
+    const files = this.report.write(this.reportDir);
+    console.log(`📄 Report: ${files.json}, ${files.csv}`);
+  }
 }
 
 function generateOrderPdf(order, context) {
@@ -437,9 +926,33 @@ function generateOrderPdf(order, context) {
     doc.text(`VAT amount: ${(context.vatAmount / 100).toFixed(2)} NOK`);
     doc.text(`Recorded sale gross: ${(context.grossAmount / 100).toFixed(2)} NOK`);
     doc.text(`Shopify total: ${order.total_price || `${(context.grossAmount / 100).toFixed(2)} NOK`}`);
-    doc.text(`Bank payment: ${(context.bankPaymentAmount / 100).toFixed(2)} NOK`);
+    if (context.giftCardAmount > 0) {
+      doc.text(`Gift card: ${(context.giftCardAmount / 100).toFixed(2)} NOK`);
+    }
+    doc.text(`Paid through gateways: ${(context.bankPaymentAmount / 100).toFixed(2)} NOK`);
+    if (context.awaitingPayment) {
+      const outstanding = context.grossAmount - context.giftCardAmount - context.bankPaymentAmount;
+      doc.text(`Not yet captured: ${(outstanding / 100).toFixed(2)} NOK (${order.financial_status})`);
+    }
     if (context.feeAmount > 0) {
-      doc.text(`Fee: ${(context.feeAmount / 100).toFixed(2)} NOK`);
+      doc.text(`Fee: ${(context.feeAmount / 100).toFixed(2)} NOK (${describeFeeSource(context.feeSource)})`);
+    }
+
+    if (context.exportCountry) {
+      // Grunnlag for avgiftsfri utførsel
+      doc.moveDown();
+      doc.text('Export');
+      doc.text(`Destination: ${context.exportCountry}${order.shipping_address?.city ? ` (${order.shipping_address.city})` : ''}`);
+      doc.text(`VAT: zero-rated export (${context.exportVatType}), income account ${context.exportAccount}`);
+      describeShipments(order).forEach(line => doc.text(line));
+    }
+
+    if (order.exchange) {
+      doc.moveDown();
+      doc.text('Currency');
+      doc.text(`Original currency: ${order.exchange.currency} (total ${order.exchange.originalTotal})`);
+      doc.text(`Exchange rate: ${order.exchange.rate} NOK per ${order.exchange.currency} (${order.exchange.source === 'shopify' ? 'applied by Shopify' : 'local rate table'}, ${order.exchange.date})`);
+      doc.text('All amounts above are in NOK.');
     }
 
     doc.moveDown();
@@ -449,7 +962,9 @@ function generateOrderPdf(order, context) {
 
     doc.moveDown();
     doc.text('Payment Summary');
-    doc.text(`• Bank account ${context.bankPaymentAmount > 0 ? (context.bankPaymentAmount / 100).toFixed(2) : '0.00'} NOK`);
+    (context.payments || []).forEach(payment => {
+      doc.text(`• ${describePayment(payment)} (account ${payment.account}) ${(payment.amount / 100).toFixed(2)} NOK`);
+    });
     if (context.feeAmount > 0) {
       doc.text(`• Fee account ${(context.feeAmount / 100).toFixed(2)} NOK`);
     }
@@ -463,9 +978,20 @@ function generateOrderPdf(order, context) {
   });
 }
 
-(async () => {
-  loadEnvironment();
-  const options = parseArgs(process.argv.slice(2));
-  const migration = new ShopifyFikenExternalSaleMigration(options);
-  await migration.run();
-})();
+module.exports = {
+  ShopifyFikenExternalSaleMigration,
+  parseArgs
+};
+
+if (require.main === module) {
+  (async () => {
+    loadEnvironment();
+    const options = parseArgs(process.argv.slice(2));
+    const config = loadConfigOrExit({ required: ['fiken.apiToken', 'fiken.companySlug'], store: options.store, requireStore: true });
+    const migration = new ShopifyFikenExternalSaleMigration(options, config);
+    await migration.run();
+  })().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const FikenAPI = require('../src/fiken.js');
+const { lineSettingsFromEnv } = require('../src/saleLines');
+const { schedulerSettingsFromEnv } = require('../src/requestScheduler');
+const { loadRateTable, convertOrderToNok } = require('../src/currency');
+const { validateDate } = require('../src/orderSelection');
+const { orderSourceSettingsFromEnv, createOrderSource } = require('../src/orderSources');
+const { FINDINGS, expectedSales, parseSaleNumber, saleGross, reconcileSales, summarizeFindings } = require('../src/reconciliation');
+const { RunReport } = require('../src/runReport');
+const { formatOre } = require('../src/pdf');
+const { loadConfigOrExit } = require('../src/config');
+const { ShopifyFikenExternalSaleMigration } = require('./migrate_shopify_to_fiken_external_sales');
+
+function loadEnvironment() {
+  const envPath = path.join(__dirname, '..', '.env');
+  if (fs.existsSync(envPath)) {
+    dotenv.config({ path: envPath });
+  } else {
+    dotenv.config();
+  }
+}
+
+const USAGE = 'Usage: npm run reconcile -- --from YYYY-MM-DD --to YYYY-MM-DD [--store <name>] [--source backup|shopify] [--fix] [--dry-run]';
+
+function parseArgs(argv) {
+  const options = { fix: false, dryRun: false, from: null, to: null, source: null, store: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--fix') {
+      options.fix = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--from' && argv[i + 1]) {
+      options.from = validateDate(argv[i + 1], '--from');
+      i += 1;
+    } else if (arg === '--to' && argv[i + 1]) {
+      options.to = validateDate(argv[i + 1], '--to');
+      i += 1;
+    } else if (arg === '--store' && argv[i + 1]) {
+      options.store = argv[i + 1];
+      i += 1;
+    } else if (arg === '--source' && argv[i + 1]) {
+      options.source = argv[i + 1].toLowerCase();
+      i += 1;
+    }
+  }
+  if (!options.from || !options.to) {
+    throw new Error(`reconcile needs a period\n${USAGE}`);
+  }
+  if (options.from > options.to) {
+    throw new Error(`--from ${options.from} is after --to ${options.to}`);
+  }
+  return options;
+}
+
+const FINDING_LABELS = {
+  'missing': 'Missing in Fiken',
+  'no-shopify-order': 'No Shopify order',
+  'amount-mismatch': 'Amount differs from Shopify',
+  'unsettled': 'Not settled',
+  'no-attachment': 'No attachment'
+};
+
+/**
+ * Compares the Shopify orders of a period with the Fiken sales of the same
+ * period, matched by sale number
+ */
+class Reconciliation {
+  constructor(options, config) {
+    this.options = options;
+    this.config = config;
+    const { env, settings } = config;
+
+    this.lineSettings = lineSettingsFromEnv(env);
+    const sourceSettings = orderSourceSettingsFromEnv(env);
+    this.orderSource = createOrderSource({
+      ...sourceSettings,
+      type: this.options.source || sourceSettings.type,
+      includeTransactions: false,
+      includeBalanceTransactions: false
+    });
+    this.financialStatuses = settings.orders.financialStatuses;
+    this.rateTable = loadRateTable(settings.currency.exchangeRatesFile);
+    this.reportDir = settings.reportDir;
+
+    this.companySlug = config.require('fiken.companySlug');
+    this.fiken = new FikenAPI(config.require('fiken.apiToken'), undefined, schedulerSettingsFromEnv(env));
+    this.report = new RunReport({ kind: 'reconciliation', store: config.store, companySlug: this.companySlug });
+  }
+
+  async loadExpectedSales(criteria, extra = {}) {
+    const expected = [];
+    for await (const order of this.orderSource.orders(criteria)) {
+      try {
+        const nokOrder = convertOrderToNok(order, { rateTable: this.rateTable });
+        expected.push(...expectedSales(nokOrder, this.lineSettings, this.financialStatuses).map(entry => ({ ...entry, ...extra })));
+      } catch (error) {
+        console.error(`❌ Failed to read order #${order.order_number}: ${error.message}`);
+      }
+    }
+    return expected;
+  }
+
+  /**
+   * Fiken sales dated in the period whose sale number the import could have
+   * written
+   */
+  async loadFikenSales() {
+    const sales = await this.fiken.getSales(this.companySlug, {
+      filters: { dateGe: this.options.from, dateLe: this.options.to }
+    });
+    return sales.filter(sale => parseSaleNumber(sale.saleNumber, this.lineSettings.saleNumberPrefix) !== null);
+  }
+
+  async run() {
+    const { from, to } = this.options;
+    console.log(`🔍 Reconciling Shopify orders from ${this.orderSource.describe()} with Fiken ${this.companySlug} for ${from} – ${to}`);
+
+    const expected = await this.loadExpectedSales({ from, to });
+    const sales = await this.loadFikenSales();
+    console.log(`📦 ${expected.length} expected sales and credits, ${sales.length} Shopify sales in Fiken`);
+
+    // Refusjoner og kanselleringer kan være datert etter perioden
+    const found = new Set(sales.map(sale => sale.saleNumber));
+    for (const entry of expected.filter(candidate => !found.has(candidate.saleNumber))) {
+      const sale = await this.fiken.findSaleByNumber(this.companySlug, entry.saleNumber);
+      if (sale) {
+        sales.push(sale);
+        found.add(sale.saleNumber);
+      }
+    }
+
+    // ... og kreditere ordre fra en tidligere periode
+    const expectedNumbers = new Set(expected.map(entry => entry.saleNumber));
+    const otherOrderNumbers = [...new Set(sales
+      .filter(sale => !expectedNumbers.has(sale.saleNumber))
+      .map(sale => parseSaleNumber(sale.saleNumber, this.lineSettings.saleNumberPrefix)))];
+    if (otherOrderNumbers.length) {
+      const others = await this.loadExpectedSales({ orderNumbers: otherOrderNumbers }, { optional: true });
+      expected.push(...others.filter(entry => !expectedNumbers.has(entry.saleNumber)));
+    }
+
+    const results = reconcileSales(expected, sales);
+    this.printResults(results);
+    this.writeReport(results);
+
+    const missingOrders = [...new Set(results
+      .filter(result => result.findings.includes('missing'))
+      .map(result => String(result.orderNumber || result.orderId)))];
+    if (this.options.fix && missingOrders.length) {
+      await this.fixMissing(missingOrders);
+    } else if (missingOrders.length) {
+      console.log(`\nRun with --fix to import the ${missingOrders.length} order(s) with missing sales.`);
+    }
+  }
+
+  printResults(results) {
+    for (const finding of FINDINGS) {
+      const affected = results.filter(result => result.findings.includes(finding));
+      if (!affected.length) {
+        continue;
+      }
+      console.log(`\n${FINDING_LABELS[finding]} (${affected.length}):`);
+      affected.forEach(result => {
+        const amounts = [
+          result.gross !== null && result.gross !== undefined && `Shopify ${formatOre(result.gross)} NOK`,
+          result.sale && `Fiken ${formatOre(saleGross(result.sale))} NOK`
+        ].filter(Boolean).join(', ');
+        const saleId = result.sale ? ` (saleId ${result.sale.saleId})` : '';
+        console.log(`   ${result.saleNumber}${saleId}${amounts ? `: ${amounts}` : ''}`);
+      });
+    }
+
+    const summary = summarizeFindings(results);
+    console.log(`\n📊 ${summary.ok} OK, ${FINDINGS.map(finding => `${finding} ${summary[finding]}`).join(', ')}`);
+  }
+
+  writeReport(results) {
+    results.forEach(result => {
+      this.report.add({
+        type: result.type,
+        orderId: result.orderId,
+        orderNumber: result.orderNumber,
+        date: result.sale?.date || null,
+        outcome: result.findings.join('+') || 'ok',
+        saleNumber: result.saleNumber,
+        saleId: result.sale?.saleId || null,
+        customerId: result.sale?.customer?.contactId || null,
+        net: result.sale ? result.sale.netAmount : null,
+        vat: result.sale ? result.sale.vatAmount : null,
+        gross: result.sale ? saleGross(result.sale) : null,
+        shopifyTotal: result.gross ?? null,
+        findings: result.findings
+      });
+    });
+    const files = this.report.write(this.reportDir);
+    console.log(`📄 Report: ${files.json}, ${files.csv}`);
+  }
+
+  /**
+   * Import the orders with missing sales through the normal migration, which
+   * skips whatever already exists
+   */
+  async fixMissing(orderNumbers) {
+    console.log(`\n🔧 Importing ${orderNumbers.length} order(s) with missing sales${this.options.dryRun ? ' (dry-run)' : ''}`);
+    const migration = new ShopifyFikenExternalSaleMigration({
+      dryRun: this.options.dryRun,
+      resume: false,
+      limit: null,
+      from: null,
+      to: null,
+      orderNumbers,
+      ordersFile: null,
+      source: this.options.source,
+      store: this.options.store
+    }, this.config);
+    await migration.run();
+  }
+}
+
+(async () => {
+  loadEnvironment();
+  const options = parseArgs(process.argv.slice(2));
+  const config = loadConfigOrExit({ required: ['fiken.apiToken', 'fiken.companySlug'], store: options.store, requireStore: true });
+  await new Reconciliation(options, config).run();
+})().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
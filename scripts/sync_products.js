@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const FikenAPI = require('../src/fiken.js');
+const { lineSettingsFromEnv } = require('../src/saleLines');
+const { schedulerSettingsFromEnv } = require('../src/requestScheduler');
+const { ProductCatalog } = require('../src/products');
+const { loadRateTable, convertOrderToNok } = require('../src/currency');
+const { validateDate } = require('../src/orderSelection');
+const { orderSourceSettingsFromEnv, createOrderSource } = require('../src/orderSources');
+const { loadConfigOrExit } = require('../src/config');
+
+function loadEnvironment() {
+  const envPath = path.join(__dirname, '..', '.env');
+  if (fs.existsSync(envPath)) {
+    dotenv.config({ path: envPath });
+  } else {
+    dotenv.config();
+  }
+}
+
+function parseArgs(argv) {
+  const options = { dryRun: false, from: null, to: null, orderNumbers: [], source: null, store: null };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--from' && argv[i + 1]) {
+      options.from = validateDate(argv[i + 1], '--from');
+      i += 1;
+    } else if (arg === '--to' && argv[i + 1]) {
+      options.to = validateDate(argv[i + 1], '--to');
+      i += 1;
+    } else if (arg === '--store' && argv[i + 1]) {
+      options.store = argv[i + 1];
+      i += 1;
+    } else if (arg === '--source' && argv[i + 1]) {
+      options.source = argv[i + 1].toLowerCase();
+      i += 1;
+    }
+  }
+  return options;
+}
+
+/**
+ * Create Fiken products for every SKU sold in the selected orders, without
+ * importing the orders themselves
+ */
+async function main() {
+  loadEnvironment();
+  const options = parseArgs(process.argv.slice(2));
+  const config = loadConfigOrExit({ required: ['fiken.apiToken', 'fiken.companySlug'], store: options.store, requireStore: true });
+  const { env } = config;
+
+  const apiToken = config.require('fiken.apiToken');
+  const companySlug = config.require('fiken.companySlug');
+  const fiken = new FikenAPI(apiToken, undefined, schedulerSettingsFromEnv(env));
+  const lineSettings = lineSettingsFromEnv(env);
+  const sourceSettings = orderSourceSettingsFromEnv(env);
+  const orderSource = createOrderSource({
+    ...sourceSettings,
+    type: options.source || sourceSettings.type,
+    includeTransactions: false,
+    includeBalanceTransactions: false
+  });
+  const rateTable = loadRateTable(config.settings.currency.exchangeRatesFile);
+  const catalog = new ProductCatalog({ fiken, companySlug, dryRun: options.dryRun });
+
+  await catalog.load();
+  console.log(`📦 ${catalog.size} products with product number in Fiken${config.store ? ` (store ${config.store} → ${companySlug})` : ''}`);
+  console.log(`📥 Reading orders from ${orderSource.describe()}${options.dryRun ? ' (dry-run)' : ''}`);
+
+  let orders = 0;
+  let created = 0;
+  for await (const order of orderSource.orders(options)) {
+    orders += 1;
+    try {
+      const nokOrder = convertOrderToNok(order, { rateTable });
+      for (const product of await catalog.syncOrder(nokOrder, lineSettings)) {
+        created += 1;
+        const label = `${product.productNumber} ${product.name} (${product.incomeAccount}, ${product.vatType})`;
+        console.log(options.dryRun ? `   Dry-run: would create product ${label}` : `✅ Created product ${label} (${product.productId})`);
+      }
+    } catch (error) {
+      console.error(`❌ Failed to sync products of order #${order.order_number}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n🎉 Product sync completed: ${orders} orders, ${created} products ${options.dryRun ? 'to create' : 'created'}`);
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
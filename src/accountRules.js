@@ -0,0 +1,184 @@
+const fs = require('fs');
+const { isDomestic } = require('./vat');
+
+// Betingelsene en regel kan ha; alle må stemme, og en liste betyr «en av»
+const CONDITIONS = ['lineType', 'productType', 'vendor', 'tag', 'skuPrefix', 'channel'];
+const LINE_TYPES = ['goods', 'shipping'];
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).map(entry => String(entry).trim().toLowerCase()).filter(Boolean);
+}
+
+function splitTags(value) {
+  if (Array.isArray(value)) {
+    return toList(value);
+  }
+  return toList(String(value || '').split(','));
+}
+
+/**
+ * Parse ordered account rules from JSON (string or array), e.g.
+ * [{"name": "Tjenester", "match": {"productType": "Service"}, "account": "3100"}]
+ */
+function parseAccountRules(value) {
+  if (!value) {
+    return [];
+  }
+  let rules = value;
+  if (typeof rules === 'string') {
+    try {
+      rules = JSON.parse(rules);
+    } catch (error) {
+      throw new Error(`Invalid account rules: ${error.message}`);
+    }
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error('Account rules must be a list');
+  }
+
+  return rules.map((rule, index) => {
+    const name = rule.name || `rule ${index + 1}`;
+    if (!rule.account) {
+      throw new Error(`Account rule "${name}" has no account`);
+    }
+    const match = rule.match || {};
+    const unknown = Object.keys(match).filter(key => !CONDITIONS.includes(key));
+    if (unknown.length) {
+      throw new Error(`Account rule "${name}" has unknown condition(s) ${unknown.join(', ')} (expected ${CONDITIONS.join(', ')})`);
+    }
+    const lineTypes = match.lineType ? toList(match.lineType) : ['goods'];
+    const invalidTypes = lineTypes.filter(type => !LINE_TYPES.includes(type));
+    if (invalidTypes.length) {
+      throw new Error(`Account rule "${name}" has unknown lineType ${invalidTypes.join(', ')}`);
+    }
+
+    const conditions = {};
+    for (const key of CONDITIONS.filter(condition => condition !== 'lineType' && match[condition] !== undefined)) {
+      conditions[key] = toList(match[key]);
+    }
+    return { name, account: String(rule.account), lineTypes, conditions };
+  });
+}
+
+/**
+ * Rules from ACCOUNT_RULES_FILE (a JSON file) or inline ACCOUNT_RULES
+ */
+function accountRulesFromEnv(env = process.env) {
+  if (env.ACCOUNT_RULES_FILE) {
+    if (!fs.existsSync(env.ACCOUNT_RULES_FILE)) {
+      throw new Error(`Account rules file not found: ${env.ACCOUNT_RULES_FILE}`);
+    }
+    return parseAccountRules(fs.readFileSync(env.ACCOUNT_RULES_FILE, 'utf8'));
+  }
+  return parseAccountRules(env.ACCOUNT_RULES);
+}
+
+/**
+ * What the rules can match on for a line item. Product type and tags are
+ * not part of the REST order; the Shopify source adds them as
+ * `product_type` and `product_tags`.
+ */
+function lineItemContext(item, order) {
+  return {
+    lineType: 'goods',
+    productType: String(item.product_type || '').toLowerCase(),
+    vendor: String(item.vendor || '').toLowerCase(),
+    tags: splitTags(item.product_tags ?? item.tags),
+    sku: String(item.sku || '').toLowerCase(),
+    channel: String(order.source_name || '').toLowerCase()
+  };
+}
+
+function shippingContext(order) {
+  return {
+    lineType: 'shipping',
+    productType: '',
+    vendor: '',
+    tags: [],
+    sku: '',
+    channel: String(order.source_name || '').toLowerCase()
+  };
+}
+
+function matchesRule(rule, context) {
+  if (!rule.lineTypes.includes(context.lineType)) {
+    return false;
+  }
+  return Object.entries(rule.conditions).every(([key, values]) => {
+    switch (key) {
+      case 'tag':
+        return values.some(tag => context.tags.includes(tag));
+      case 'skuPrefix':
+        return Boolean(context.sku) && values.some(prefix => context.sku.startsWith(prefix));
+      default:
+        return values.includes(context[key]);
+    }
+  });
+}
+
+/**
+ * First rule matching `context`, as `{ account, rule }`; `rule` is null
+ * when the default account is used
+ */
+function resolveAccount(rules, context, defaultAccount) {
+  const rule = (rules || []).find(candidate => matchesRule(candidate, context)) || null;
+  return { account: rule ? rule.account : defaultAccount, rule };
+}
+
+// Eksport går alltid til eksportkontoen, uansett kontoregler
+const EXPORT_RULE = { name: 'export', export: true };
+
+function isExport(order, settings) {
+  return Boolean(settings.exportAccount) && !isDomestic(order, settings.vatSettings.homeCountry);
+}
+
+/**
+ * Income account for a line item (`settings` are the line settings).
+ * Exports go to `settings.exportAccount`.
+ */
+function goodsAccount(item, order, settings) {
+  if (isExport(order, settings)) {
+    return { account: settings.exportAccount, rule: EXPORT_RULE };
+  }
+  return resolveAccount(settings.accountRules, lineItemContext(item, order), settings.salesAccount);
+}
+
+function shippingAccount(order, settings) {
+  if (isExport(order, settings)) {
+    return { account: settings.exportAccount, rule: EXPORT_RULE };
+  }
+  return resolveAccount(settings.accountRules, shippingContext(order), settings.shippingAccount);
+}
+
+function describeRule(rule) {
+  if (rule?.export) {
+    return 'export';
+  }
+  return rule ? `rule "${rule.name}"` : 'default';
+}
+
+/**
+ * Which account and rule every goods and shipping line of an order gets,
+ * for dry-run output
+ */
+function explainOrderAccounts(order, settings) {
+  const goods = (order.line_items || [])
+    .filter(item => !item.gift_card)
+    .map(item => ({ title: item.title || 'Shopify product', ...goodsAccount(item, order, settings) }));
+  const shipping = (order.shipping_lines || [])
+    .map(line => ({ title: line.title || 'Shipping', ...shippingAccount(order, settings) }));
+  return [...goods, ...shipping];
+}
+
+module.exports = {
+  parseAccountRules,
+  accountRulesFromEnv,
+  lineItemContext,
+  shippingContext,
+  matchesRule,
+  resolveAccount,
+  goodsAccount,
+  shippingAccount,
+  describeRule,
+  explainOrderAccounts
+};
@@ -0,0 +1,16 @@
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : 0;
+  }
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : 0;
+}
+
+function toOre(amount) {
+  return Math.round(toNumber(amount) * 100);
+}
+
+module.exports = {
+  toNumber,
+  toOre
+};
@@ -0,0 +1,174 @@
+const pino = require('pino');
+const { saleLine, negateLine, calculateTotals, getSaleNumber } = require('./saleLines');
+const { isFullyPaid, splitPayments, splitCapturedPayments } = require('./payments');
+const { CreditLedger } = require('./ledger');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+/**
+ * Sum sale lines per account and VAT type. Used to work out what is left to
+ * reverse once refund credit sales have been subtracted from the original.
+ * Throws when a line has no numeric `netAmount`/`vatAmount`, since a zero
+ * there would record the cancellation as already reversed.
+ */
+function sumByAccountAndVat(lines) {
+  const totals = new Map();
+  for (const line of lines) {
+    if (!Number.isFinite(line.netAmount) || !Number.isFinite(line.vatAmount)) {
+      throw new Error(`Fiken sale line "${line.description || line.account}" has no netAmount/vatAmount, cannot work out what to reverse`);
+    }
+    const key = `${line.account}:${line.vatType}`;
+    const entry = totals.get(key) || { account: line.account, vatType: line.vatType, net: 0, vat: 0 };
+    entry.net += line.netAmount;
+    entry.vat += line.vatAmount;
+    totals.set(key, entry);
+  }
+  return [...totals.values()];
+}
+
+/**
+ * Reverses Fiken sales for cancelled Shopify orders. The outcome for every
+ * order is persisted in `store`, so a cancellation is only processed once.
+ * The steps of the credit sale are recorded in `credits` (a CreditLedger),
+ * so repayments missing after a crash are registered on the next run.
+ */
+class CancellationProcessor {
+  constructor(options) {
+    if (!options.credits) {
+      throw new Error('CancellationProcessor needs a CreditLedger (options.credits) to book cancellations');
+    }
+    this.fiken = options.fiken;
+    this.companySlug = options.companySlug;
+    this.paymentSettings = options.paymentSettings;
+    this.refunds = options.refunds;
+    this.store = options.store;
+    this.credits = options.credits;
+    this.saleNumberPrefix = options.saleNumberPrefix || '#';
+    this.dryRun = Boolean(options.dryRun);
+  }
+
+  /**
+   * Process a cancelled order. Returns the persisted outcome with `status`
+   * set to reversed, reversed-by-refunds, skipped-not-booked,
+   * already-processed or dry-run, plus the reversed `lines` and the
+   * outcomes of the refunds credited on the way (`refunds`).
+   */
+  async processCancellation(order) {
+    const orderKey = String(order.id);
+    if (this.store.has(orderKey)) {
+      return { ...this.store.get(orderKey), status: 'already-processed' };
+    }
+
+    const saleNumber = getSaleNumber(order, { saleNumberPrefix: this.saleNumberPrefix });
+    const creditSaleNumber = `${saleNumber}-C`;
+    const date = (order.cancelled_at || new Date().toISOString()).split('T')[0];
+
+    const sale = await this.fiken.findSaleByNumber(this.companySlug, saleNumber);
+    if (!sale) {
+      return this.record(orderKey, {
+        status: 'skipped-not-booked',
+        saleNumber,
+        reason: order.cancel_reason || null
+      });
+    }
+
+    if (this.dryRun) {
+      return { status: 'dry-run', saleNumber, creditSaleNumber, saleId: sale.saleId };
+    }
+
+    // Refusjoner som hører til kanselleringen krediteres først (idempotent)
+    const creditedLines = [];
+    const refundSaleNumbers = [];
+    const refunds = [];
+    for (const refund of order.refunds || []) {
+      const result = await this.refunds.processRefund(order, refund);
+      refunds.push({ ...result, refundId: refund.id });
+      if (result.saleId) {
+        const refundSale = await this.fiken.getSale(this.companySlug, result.saleId);
+        creditedLines.push(...(refundSale.lines || []));
+        refundSaleNumbers.push(result.saleNumber);
+      }
+    }
+
+    const original = await this.fiken.getSale(this.companySlug, sale.saleId);
+    const remaining = sumByAccountAndVat([...(original.lines || []), ...creditedLines])
+      .filter(entry => entry.net + entry.vat > 0)
+      .map(entry => saleLine(`Kansellering av ${saleNumber} (${entry.vatType})`, entry.account, entry.vatType, entry.net, entry.vat));
+    const totals = calculateTotals(remaining);
+
+    if (totals.gross <= 0) {
+      const outcome = this.record(orderKey, {
+        status: 'reversed-by-refunds',
+        saleNumber,
+        saleId: sale.saleId,
+        refundSaleNumbers
+      });
+      return { ...outcome, lines: [], refunds };
+    }
+
+    let creditSaleId = this.credits.get(creditSaleNumber)?.saleId;
+    if (!creditSaleId) {
+      const existingCredit = await this.fiken.findSaleByNumber(this.companySlug, creditSaleNumber);
+      if (existingCredit) {
+        creditSaleId = existingCredit.saleId;
+        this.credits.adoptSale(order, creditSaleNumber, await this.fiken.getSale(this.companySlug, creditSaleId));
+      } else {
+        const creditSale = await this.fiken.createSale(this.companySlug, {
+          kind: 'external_invoice',
+          saleNumber: creditSaleNumber,
+          date,
+          currency: 'NOK',
+          customerId: original.customer?.contactId || original.customerId,
+          lines: remaining.map(negateLine)
+        });
+        creditSaleId = creditSale.saleId;
+        this.credits.recordSale(order, creditSaleNumber, creditSaleId);
+      }
+    }
+
+    // Tilbakebetalingen fordeles på de samme kontoene som betalingen; er ordren
+    // ikke ferdig betalt (f.eks. annullert autorisasjon), betales bare det trukne tilbake
+    const payments = isFullyPaid(order)
+      ? splitPayments(order, totals.gross, this.paymentSettings)
+      : splitCapturedPayments(order, totals.gross, this.paymentSettings);
+    for (const payment of payments) {
+      const step = CreditLedger.paymentStep(payment.account);
+      if (this.credits.hasStep(creditSaleNumber, step)) {
+        continue;
+      }
+      const created = await this.fiken.addSalePayment(this.companySlug, creditSaleId, {
+        date,
+        account: payment.account,
+        amount: -payment.amount
+      });
+      this.credits.recordStep(creditSaleNumber, step, {
+        paymentId: created.paymentId,
+        amount: -payment.amount,
+        account: payment.account
+      });
+    }
+    this.credits.markCompleted(creditSaleNumber);
+
+    logger.info({ saleNumber, creditSaleNumber, creditSaleId, gross: totals.gross }, 'Reversed cancelled Shopify order in Fiken');
+    const outcome = this.record(orderKey, {
+      status: 'reversed',
+      saleNumber,
+      saleId: sale.saleId,
+      creditSaleNumber,
+      creditSaleId,
+      creditedAmount: totals.gross,
+      refundSaleNumbers
+    });
+    return { ...outcome, lines: remaining, refunds };
+  }
+
+  record(orderKey, outcome) {
+    const entry = {
+      ...outcome,
+      processedAt: new Date().toISOString()
+    };
+    return this.dryRun ? entry : this.store.set(orderKey, entry);
+  }
+}
+
+module.exports = CancellationProcessor;
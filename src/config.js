@@ -0,0 +1,482 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { DEFAULT_BANK_ACCOUNT, DEFAULT_GIFT_CARD_ACCOUNT, parseGatewayAccounts } = require('./payments');
+const { parseAccountRules } = require('./accountRules');
+const { DEFAULT_EXPORT_VAT_TYPE, parseVatTypeMap } = require('./vat');
+const { DEFAULT_SETTINGS: SCHEDULER_DEFAULTS } = require('./requestScheduler');
+const { DEFAULT_ROUNDING_ACCOUNT, DEFAULT_ROUNDING_TOLERANCE, DEFAULT_EXPORT_ACCOUNT } = require('./saleLines');
+const { DEFAULT_FINANCIAL_STATUSES, parseFinancialStatuses } = require('./orderSelection');
+
+const ROOT_DIR = path.join(__dirname, '..');
+// Leses i denne rekkefølgen fra rotmappen når CONFIG_FILE ikke er satt
+const DEFAULT_CONFIG_FILES = ['config.local.json', 'config.json', 'config.yaml', 'config.yml'];
+const ACCOUNT_PATTERN = /^\d{4}(:\d+)?$/;
+
+/*
+ * Every setting has a key in the config file (`accounts.bank`), the
+ * environment variable that overrides it and a type. Defaults live here
+ * only; `default` may be a function of the settings resolved so far and
+ * the store profile.
+ */
+const SCHEMA = [
+  { key: 'fiken.apiToken', env: 'FIKEN_API_TOKEN', type: 'string', secret: true },
+  { key: 'fiken.companySlug', env: 'FIKEN_COMPANY_SLUG', type: 'string' },
+  { key: 'fiken.requestsPerSecond', env: 'FIKEN_REQUESTS_PER_SECOND', type: 'number', min: 0, default: SCHEDULER_DEFAULTS.requestsPerSecond },
+  { key: 'fiken.maxConcurrency', env: 'FIKEN_MAX_CONCURRENCY', type: 'integer', min: 1, default: SCHEDULER_DEFAULTS.concurrency },
+  { key: 'fiken.maxRetries', env: 'FIKEN_MAX_RETRIES', type: 'integer', min: 0, default: SCHEDULER_DEFAULTS.maxRetries },
+  { key: 'fiken.retryBaseDelayMs', env: 'FIKEN_RETRY_BASE_DELAY_MS', type: 'number', min: 0, default: SCHEDULER_DEFAULTS.baseDelayMs },
+  { key: 'fiken.retryMaxDelayMs', env: 'FIKEN_RETRY_MAX_DELAY_MS', type: 'number', min: 0, default: SCHEDULER_DEFAULTS.maxDelayMs },
+  { key: 'fiken.requestTimeoutMs', env: 'FIKEN_REQUEST_TIMEOUT_MS', type: 'number', min: 0, default: SCHEDULER_DEFAULTS.timeoutMs },
+
+  { key: 'shopify.shop', env: 'SHOPIFY_SHOP', type: 'string' },
+  { key: 'shopify.accessToken', env: 'SHOPIFY_ACCESS_TOKEN', type: 'string', secret: true },
+  { key: 'shopify.apiVersion', env: 'SHOPIFY_API_VERSION', type: 'string' },
+  { key: 'shopify.apiBaseUrl', env: 'SHOPIFY_API_BASE_URL', type: 'url' },
+  { key: 'shopify.webhookSecret', env: 'SHOPIFY_WEBHOOK_SECRET', type: 'string', secret: true },
+  { key: 'shopify.orderDateField', env: 'SHOPIFY_ORDER_DATE_FIELD', type: 'enum', values: ['processed_at', 'updated_at'], default: 'processed_at' },
+  { key: 'shopify.fetchTransactions', env: 'SHOPIFY_FETCH_TRANSACTIONS', type: 'boolean', default: true },
+  { key: 'shopify.fetchBalanceTransactions', env: 'SHOPIFY_FETCH_BALANCE_TRANSACTIONS', type: 'boolean', default: true },
+  { key: 'shopify.fetchProducts', env: 'SHOPIFY_FETCH_PRODUCTS', type: 'boolean', default: true },
+
+  { key: 'orders.source', env: 'ORDER_SOURCE', type: 'enum', values: ['backup', 'shopify'], default: 'backup' },
+  { key: 'orders.backupPath', env: 'ORDERS_BACKUP_PATH', type: 'path' },
+  { key: 'orders.filePattern', env: 'ORDERS_FILE_PATTERN', type: 'list' },
+  { key: 'orders.financialStatuses', env: 'ORDER_FINANCIAL_STATUSES', type: 'list', check: parseFinancialStatuses, default: DEFAULT_FINANCIAL_STATUSES },
+
+  { key: 'accounts.bank', env: 'BANK_ACCOUNT_CODE', type: 'account', default: DEFAULT_BANK_ACCOUNT },
+  { key: 'accounts.sales', env: 'SALES_ACCOUNT_CODE', type: 'account', default: '3000' },
+  { key: 'accounts.shipping', env: 'SHIPPING_ACCOUNT_CODE', type: 'account', default: settings => settings.accounts.sales },
+  { key: 'accounts.discount', env: 'DISCOUNT_ACCOUNT_CODE', type: 'account' },
+  { key: 'accounts.export', env: 'EXPORT_SALES_ACCOUNT_CODE', type: 'account', default: DEFAULT_EXPORT_ACCOUNT },
+  { key: 'accounts.giftCard', env: 'GIFT_CARD_ACCOUNT_CODE', type: 'account', default: DEFAULT_GIFT_CARD_ACCOUNT },
+  { key: 'accounts.fee', env: 'PAYMENT_FEE_ACCOUNT_CODE', type: 'account', default: '7770' },
+  { key: 'accounts.gateways', env: 'PAYMENT_GATEWAY_ACCOUNTS', type: 'json', shape: 'object', check: parseGatewayAccounts },
+  { key: 'accounts.rules', env: 'ACCOUNT_RULES', type: 'json', shape: 'array', check: parseAccountRules },
+  { key: 'accounts.rulesFile', env: 'ACCOUNT_RULES_FILE', type: 'path', exists: true },
+
+  { key: 'rounding.account', env: 'ROUNDING_ACCOUNT_CODE', type: 'account', default: DEFAULT_ROUNDING_ACCOUNT },
+  { key: 'rounding.toleranceOre', env: 'ROUNDING_TOLERANCE_ORE', type: 'integer', min: 0, default: DEFAULT_ROUNDING_TOLERANCE },
+
+  { key: 'fees.percent', env: 'PAYMENT_FEE_PERCENT', type: 'number', min: 0, max: 1, hint: 'a fraction, e.g. 0.02 for 2 %', default: 0 },
+  { key: 'fees.fixedOre', env: 'PAYMENT_FEE_AMOUNT_ORE', type: 'integer', min: 0, default: 0 },
+
+  { key: 'vat.defaultRate', env: 'VAT_RATE', type: 'number', min: 0, max: 1, hint: 'a fraction, e.g. 0.25', default: 0.25 },
+  { key: 'vat.typeMap', env: 'VAT_TYPE_MAP', type: 'json', shape: 'object', check: parseVatTypeMap },
+  { key: 'vat.homeCountry', env: 'HOME_COUNTRY_CODE', type: 'country', default: 'NO' },
+  { key: 'vat.exportVatType', env: 'EXPORT_VAT_TYPE', type: 'string', default: DEFAULT_EXPORT_VAT_TYPE },
+
+  { key: 'currency.exchangeRatesFile', env: 'EXCHANGE_RATES_FILE', type: 'path', exists: true },
+
+  { key: 'customers.orgNumberAttributes', env: 'ORG_NUMBER_NOTE_ATTRIBUTES', type: 'list' },
+  { key: 'customers.orgNumberMetafield', env: 'ORG_NUMBER_METAFIELD', type: 'string' },
+  { key: 'customers.invoiceEmailAttribute', env: 'INVOICE_EMAIL_NOTE_ATTRIBUTE', type: 'string', default: 'invoice_email' },
+
+  { key: 'products.sync', env: 'PRODUCT_SYNC', type: 'boolean', default: false },
+
+  { key: 'payouts.source', env: 'PAYOUT_SOURCE', type: 'enum', values: ['backup', 'shopify'], default: 'backup' },
+  { key: 'payouts.backupPath', env: 'PAYOUTS_BACKUP_PATH', type: 'path' },
+  { key: 'payouts.filePattern', env: 'PAYOUTS_FILE_PATTERN', type: 'list' },
+  { key: 'payouts.clearingAccount', env: 'PAYOUT_CLEARING_ACCOUNT_CODE', type: 'account' },
+  { key: 'payouts.bankAccount', env: 'PAYOUT_BANK_ACCOUNT_CODE', type: 'account' },
+  { key: 'payouts.chargebackAccount', env: 'PAYOUT_CHARGEBACK_ACCOUNT_CODE', type: 'account', default: '7830' },
+  { key: 'payouts.adjustmentAccount', env: 'PAYOUT_ADJUSTMENT_ACCOUNT_CODE', type: 'account', default: '7790' },
+  { key: 'payouts.includeChargeFees', env: 'PAYOUT_INCLUDE_CHARGE_FEES', type: 'boolean', default: false },
+
+  { key: 'server.port', env: 'PORT', type: 'integer', min: 1, max: 65535, default: 8787 },
+  { key: 'server.tempDir', env: 'LOCAL_TEMP_DIR', type: 'path', default: path.join('/var/tmp', 'protonord_shopify') },
+  { key: 'server.disableProcessor', env: 'DISABLE_PROCESSOR', type: 'boolean', default: false },
+
+  { key: 'saleNumberPrefix', env: 'SALE_NUMBER_PREFIX', type: 'string', default: '#' },
+  // Hver butikk får egen tilstandsmappe, så loggene ikke blandes
+  { key: 'stateDir', env: 'STATE_DIR', type: 'path', default: (_settings, { store }) => path.join(ROOT_DIR, 'state', ...(store ? [store] : [])) },
+  { key: 'reportDir', env: 'REPORT_DIR', type: 'path', default: settings => path.join(settings.stateDir, 'reports') }
+];
+
+function displayPath(file) {
+  const relative = path.relative(process.cwd(), file);
+  return relative && !relative.startsWith('..') ? relative : file;
+}
+
+class ConfigError extends Error {
+  constructor(errors, file) {
+    const where = file ? ` (${displayPath(file)})` : '';
+    super(`Invalid configuration${where}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => {
+    node[part] = node[part] || {};
+    return node[part];
+  }, object);
+  parent[last] = value;
+}
+
+function flattenKeys(object, prefix = '') {
+  return Object.entries(object).flatMap(([key, value]) => {
+    const full = prefix ? `${prefix}.${key}` : key;
+    const option = SCHEMA.find(candidate => candidate.key === full);
+    if (!option && value && typeof value === 'object' && !Array.isArray(value)) {
+      return flattenKeys(value, full);
+    }
+    return [full];
+  });
+}
+
+/**
+ * Convert one raw value (string from the environment, anything from the
+ * file) to the option's type. Throws with a message naming the problem.
+ */
+function coerce(option, raw) {
+  const fromEnv = typeof raw === 'string';
+  switch (option.type) {
+    case 'string':
+    case 'path':
+    case 'url': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        throw new Error('expected a string');
+      }
+      const value = String(raw).trim();
+      if (option.type === 'url' && !/^https?:\/\/\S+$/.test(value)) {
+        throw new Error(`expected an http(s) URL, got "${value}"`);
+      }
+      if (option.type === 'path' && option.exists && !fs.existsSync(value)) {
+        throw new Error(`file not found: ${value}`);
+      }
+      return value;
+    }
+    case 'account': {
+      const value = String(raw).trim();
+      if (!ACCOUNT_PATTERN.test(value)) {
+        throw new Error(`expected an account code like 1920 or 1920:10001, got "${value}"`);
+      }
+      return value;
+    }
+    case 'country': {
+      const value = String(raw).trim().toUpperCase();
+      if (!/^[A-Z]{2}$/.test(value)) {
+        throw new Error(`expected a two-letter country code, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'number':
+    case 'integer': {
+      const value = fromEnv ? Number(raw.trim()) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value) || (fromEnv && raw.trim() === '')) {
+        throw new Error(`expected a number, got "${raw}"`);
+      }
+      if (option.type === 'integer' && !Number.isInteger(value)) {
+        throw new Error(`expected a whole number, got ${raw}`);
+      }
+      if ((option.min !== undefined && value < option.min) || (option.max !== undefined && value > option.max)) {
+        const range = option.max !== undefined ? `${option.min} to ${option.max}` : `at least ${option.min}`;
+        throw new Error(`expected ${range}${option.hint ? ` (${option.hint})` : ''}, got ${raw}`);
+      }
+      return value;
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return raw;
+      }
+      const value = String(raw).trim().toLowerCase();
+      if (!['true', 'false'].includes(value)) {
+        throw new Error(`expected true or false, got "${raw}"`);
+      }
+      return value === 'true';
+    }
+    case 'enum': {
+      const value = String(raw).trim().toLowerCase();
+      if (!option.values.includes(value)) {
+        throw new Error(`expected one of ${option.values.join(', ')}, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'list': {
+      const list = (Array.isArray(raw) ? raw : String(raw).split(',')).map(entry => String(entry).trim()).filter(Boolean);
+      if (option.check) {
+        option.check(list);
+      }
+      return list;
+    }
+    case 'json': {
+      let value = raw;
+      if (fromEnv) {
+        try {
+          value = JSON.parse(raw);
+        } catch (error) {
+          throw new Error(`invalid JSON: ${error.message}`);
+        }
+      }
+      const isArray = Array.isArray(value);
+      if (option.shape === 'array' ? !isArray : (isArray || !value || typeof value !== 'object')) {
+        throw new Error(`expected ${option.shape === 'array' ? 'a list' : 'an object'}`);
+      }
+      if (option.check) {
+        option.check(value);
+      }
+      return value;
+    }
+    default:
+      throw new Error(`unknown type ${option.type}`);
+  }
+}
+
+/**
+ * The value as the `*SettingsFromEnv` helpers read it
+ */
+function toEnvString(option, value) {
+  if (option.type === 'json') {
+    return JSON.stringify(value);
+  }
+  if (option.type === 'list') {
+    return value.join(',');
+  }
+  return String(value);
+}
+
+function missingMessage(option) {
+  return `${option.key} is required (set ${option.env} or ${option.key} in the config file)`;
+}
+
+function findConfigFile(file, env) {
+  if (file || env.CONFIG_FILE) {
+    const explicit = path.resolve(file || env.CONFIG_FILE);
+    if (!fs.existsSync(explicit)) {
+      throw new ConfigError([`config file not found: ${explicit}`]);
+    }
+    return explicit;
+  }
+  return DEFAULT_CONFIG_FILES
+    .map(name => path.join(ROOT_DIR, name))
+    .find(candidate => fs.existsSync(candidate)) || null;
+}
+
+function readConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  try {
+    const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+    if (data === null || data === undefined) {
+      return {};
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('the top level must be an object');
+    }
+    return data;
+  } catch (error) {
+    throw new ConfigError([`could not parse config file: ${error.message}`], file);
+  }
+}
+
+function normalizeShop(value) {
+  return String(value || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Name of the store profile `value` refers to, by name or by its
+ * `shopify.shop` domain; null when none matches
+ */
+function findStore(stores, value) {
+  const wanted = normalizeShop(value);
+  return Object.keys(stores).find(name => name.toLowerCase() === wanted)
+    || Object.keys(stores).find(name => normalizeShop(getPath(stores[name], 'shopify.shop')) === wanted)
+    || null;
+}
+
+/**
+ * Resolve every schema option. A store profile beats the environment,
+ * which beats the shared part of the file, which beats the default.
+ */
+function resolveSettings(base, profile, env, store) {
+  const errors = [];
+  const settings = {};
+  const sources = {};
+  for (const option of SCHEMA) {
+    const candidates = [
+      [profile ? getPath(profile, option.key) : undefined, `store ${store}`, `stores.${store}.${option.key}`],
+      [env[option.env], `env ${option.env}`, option.env],
+      [getPath(base, option.key), 'file', option.key]
+    ];
+    const [raw, source, label] = candidates.find(([value]) => value !== undefined && value !== null && value !== '') || [];
+    let value = null;
+    try {
+      if (source) {
+        value = coerce(option, raw);
+      } else if (option.default !== undefined) {
+        value = typeof option.default === 'function' ? option.default(settings, { store }) : option.default;
+      }
+    } catch (error) {
+      errors.push(`${label}: ${error.message}`);
+    }
+    setPath(settings, option.key, value);
+    sources[option.key] = value === null ? null : source || 'default';
+  }
+  return { errors, settings, sources };
+}
+
+/**
+ * Load settings from the config file (CONFIG_FILE, or config.local.json,
+ * config.json, config.yaml or config.yml in the project root) with
+ * environment variables taking precedence, and validate them against the
+ * schema. Settings listed in `options.required` must have a value. Throws
+ * a ConfigError listing every problem.
+ *
+ * The file may define store profiles under `stores`, each overriding any
+ * of the settings (Fiken company, order source, accounts, sale-number
+ * prefix, webhook secret, ...). `options.store` picks one by name or shop
+ * domain; with `requireStore` a store must be picked when several exist,
+ * and `validateStores` checks every profile up front.
+ *
+ * The result has `settings` (typed, nested like the file), `sources`
+ * (where each value came from), `env` (the environment with every
+ * resolved setting filled in, for the `*SettingsFromEnv` helpers),
+ * `require(key)` for settings an entry point cannot do without, and
+ * `forStore(name)` / `storeForShop(domain)` for the store profiles.
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const file = findConfigFile(options.file, env);
+  const { stores = {}, ...base } = file ? readConfigFile(file) : {};
+  if (!stores || typeof stores !== 'object' || Array.isArray(stores)) {
+    throw new ConfigError(['stores: expected an object with one profile per store'], file);
+  }
+  const storeNames = Object.keys(stores);
+
+  let store = null;
+  if (options.store) {
+    store = findStore(stores, options.store);
+    if (!store) {
+      const known = storeNames.length ? `configured: ${storeNames.join(', ')}` : 'no stores are configured';
+      throw new ConfigError([`unknown store "${options.store}" (${known})`], file);
+    }
+  } else if (options.requireStore && storeNames.length === 1) {
+    [store] = storeNames;
+  } else if (options.requireStore && storeNames.length > 1) {
+    throw new ConfigError([`several stores are configured (${storeNames.join(', ')}); choose one with --store`], file);
+  }
+
+  const errors = flattenKeys(base)
+    .filter(key => !SCHEMA.some(option => option.key === key))
+    .map(key => `unknown setting "${key}"`);
+  if (store) {
+    errors.push(...flattenKeys(stores[store] || {})
+      .filter(key => !SCHEMA.some(option => option.key === key))
+      .map(key => `unknown setting "stores.${store}.${key}"`));
+  }
+
+  const resolved = resolveSettings(base, store ? stores[store] || {} : null, env, store);
+  const { settings, sources } = resolved;
+  errors.push(...resolved.errors);
+  for (const key of options.required || []) {
+    const option = SCHEMA.find(candidate => candidate.key === key);
+    if (getPath(settings, key) === null && !errors.some(error => error.includes(`${key}:`) || error.startsWith(`${option.env}:`))) {
+      errors.push(missingMessage(option));
+    }
+  }
+
+  if (options.validateStores && !store) {
+    for (const name of storeNames) {
+      try {
+        loadConfig({ ...options, store: name, requireStore: false, validateStores: false });
+      } catch (error) {
+        if (!(error instanceof ConfigError)) {
+          throw error;
+        }
+        errors.push(...error.errors.filter(message => !errors.includes(message)));
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new ConfigError(errors, file);
+  }
+
+  const resolvedEnv = { ...env };
+  for (const option of SCHEMA) {
+    const value = getPath(settings, option.key);
+    if (value !== null) {
+      resolvedEnv[option.env] = toEnvString(option, value);
+    }
+  }
+
+  const profiles = new Map();
+  return {
+    file,
+    store,
+    storeNames,
+    settings,
+    sources,
+    env: resolvedEnv,
+    require(key) {
+      const value = getPath(settings, key);
+      if (value === null || value === undefined || value === '') {
+        throw new ConfigError([missingMessage(SCHEMA.find(candidate => candidate.key === key))], file);
+      }
+      return value;
+    },
+    forStore(name) {
+      if (!profiles.has(name)) {
+        profiles.set(name, loadConfig({ ...options, store: name, requireStore: false }));
+      }
+      return profiles.get(name);
+    },
+    storeForShop(domain) {
+      return domain ? findStore(stores, domain) : null;
+    }
+  };
+}
+
+/**
+ * loadConfig for command line entry points: print the problems and exit
+ */
+function loadConfigOrExit(options) {
+  try {
+    return loadConfig(options);
+  } catch (error) {
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+function maskSecret(value) {
+  const text = String(value);
+  return text.length > 8 ? `${'*'.repeat(8)}${text.slice(-4)}` : '*'.repeat(8);
+}
+
+/**
+ * Effective settings as `{ key, env, value, source }` rows, secrets masked
+ */
+function describeConfig(config) {
+  return SCHEMA.map(option => {
+    const value = getPath(config.settings, option.key);
+    let shown = value;
+    if (value !== null && option.secret) {
+      shown = maskSecret(value);
+    } else if (value !== null && (option.type === 'json' || option.type === 'list')) {
+      shown = JSON.stringify(value);
+    }
+    return { key: option.key, env: option.env, value: shown, source: config.sources[option.key] };
+  });
+}
+
+module.exports = {
+  SCHEMA,
+  DEFAULT_CONFIG_FILES,
+  ConfigError,
+  displayPath,
+  loadConfig,
+  loadConfigOrExit,
+  describeConfig,
+  maskSecret
+};
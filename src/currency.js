@@ -0,0 +1,198 @@
+const fs = require('fs');
+const { toNumber } = require('./amounts');
+
+const BOOKING_CURRENCY = 'NOK';
+
+// Beløpsfelter uten *_set-motstykke som må regnes om når butikkvalutaen ikke er NOK
+const MONEY_FIELDS = new Set([
+  'price',
+  'total_price',
+  'subtotal_price',
+  'total_tax',
+  'total_discounts',
+  'total_line_items_price',
+  'current_total_price',
+  'total_outstanding',
+  'total_discount',
+  'discounted_price',
+  'amount',
+  'tax_amount',
+  'subtotal',
+  'fee',
+  'net'
+]);
+
+/**
+ * Load a local exchange rate table. The JSON file maps a currency to either
+ * a fixed rate or rates per date, in NOK per unit:
+ * {"EUR": {"2025-09-01": 11.72, "2025-09-02": 11.69}, "SEK": 0.99}
+ */
+function loadRateTable(filePath) {
+  if (!filePath) {
+    return {};
+  }
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Exchange rate file not found: ${filePath}`);
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Exchange rate file ${filePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Rate for a currency on a date, falling back to the closest earlier date
+ */
+function lookupRate(rateTable, currency, date) {
+  const entry = rateTable[currency];
+  if (typeof entry === 'number' || typeof entry === 'string') {
+    return toNumber(entry) || null;
+  }
+  if (!entry) {
+    return null;
+  }
+  const dates = Object.keys(entry).filter(day => day <= date).sort();
+  return dates.length ? toNumber(entry[dates[dates.length - 1]]) || null : null;
+}
+
+function roundRate(rate) {
+  return Math.round(rate * 1e6) / 1e6;
+}
+
+/**
+ * Works out how the amounts of an order are converted to NOK.
+ *
+ * When the shop currency is NOK, Shopify has already converted every amount
+ * and the `shop_money` values are used as is; the rate Shopify applied is
+ * derived from the order totals. Otherwise amounts are converted with a rate
+ * from the local rate table.
+ */
+function createCurrencyConverter(order, options = {}) {
+  const rateTable = options.rateTable || {};
+  const date = (order.processed_at || order.created_at || new Date().toISOString()).split('T')[0];
+  const shopCurrency = order.total_price_set?.shop_money?.currency_code || order.currency || BOOKING_CURRENCY;
+  const presentmentCurrency = order.presentment_currency
+    || order.total_price_set?.presentment_money?.currency_code
+    || shopCurrency;
+
+  const appliedRates = {};
+  const shopTotal = toNumber(order.total_price_set?.shop_money?.amount);
+  const presentmentTotal = toNumber(order.total_price_set?.presentment_money?.amount);
+  if (shopCurrency === BOOKING_CURRENCY && presentmentCurrency !== BOOKING_CURRENCY && shopTotal > 0 && presentmentTotal > 0) {
+    appliedRates[presentmentCurrency] = roundRate(shopTotal / presentmentTotal);
+  }
+
+  function rateFor(currency) {
+    if (currency === BOOKING_CURRENCY) {
+      return 1;
+    }
+    const rate = appliedRates[currency] || lookupRate(rateTable, currency, date);
+    if (!rate) {
+      throw new Error(`No exchange rate for ${currency} on ${date} (order #${order.order_number || order.id})`);
+    }
+    return rate;
+  }
+
+  function convertAmount(amount, currency) {
+    // Null er null i alle valutaer, og trenger ingen kurs
+    if (toNumber(amount) === 0) {
+      return '0.00';
+    }
+    return (Math.round(toNumber(amount) * rateFor(currency) * 100) / 100).toFixed(2);
+  }
+
+  function convert(node, currency = shopCurrency) {
+    if (Array.isArray(node)) {
+      return node.map(item => convert(item, currency));
+    }
+    if (!node || typeof node !== 'object') {
+      return node;
+    }
+
+    // Transaksjoner o.l. oppgir egen valuta
+    const nodeCurrency = typeof node.currency === 'string' && node !== order ? node.currency : currency;
+    const result = {};
+    for (const [key, value] of Object.entries(node)) {
+      // *_set har allerede shop_money/presentment_money med egen valutakode
+      result[key] = key.endsWith('_set') ? value : convert(value, nodeCurrency);
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      if (key.endsWith('_set') && value?.shop_money) {
+        const money = value.shop_money;
+        result[key.slice(0, -4)] = convertAmount(money.amount, money.currency_code || shopCurrency);
+      } else if (MONEY_FIELDS.has(key) && !node[`${key}_set`] && value !== null && value !== undefined && value !== '') {
+        result[key] = convertAmount(value, nodeCurrency);
+      }
+    }
+    if (typeof node.currency === 'string' && node !== order) {
+      result.currency = BOOKING_CURRENCY;
+    }
+    return result;
+  }
+
+  const originalCurrency = presentmentCurrency !== BOOKING_CURRENCY ? presentmentCurrency : shopCurrency;
+  // En NOK-butikk med totalsum 0 (full rabatt) gir ingen kurs, og alle beløp er allerede i NOK
+  const nothingToConvert = shopCurrency === BOOKING_CURRENCY && !appliedRates[originalCurrency] && shopTotal === 0;
+  const exchange = originalCurrency === BOOKING_CURRENCY || nothingToConvert
+    ? null
+    : {
+      currency: originalCurrency,
+      rate: rateFor(originalCurrency),
+      source: appliedRates[originalCurrency] ? 'shopify' : 'rate-table',
+      originalTotal: order.total_price_set?.presentment_money?.amount || order.total_price,
+      date
+    };
+
+  return {
+    exchange,
+    convert
+  };
+}
+
+/**
+ * Copy of an order with every amount in NOK. Foreign currency orders get an
+ * `exchange` object with the original currency and the rate used.
+ */
+function convertOrderToNok(order, options = {}) {
+  if (order.currency === BOOKING_CURRENCY && order.exchange !== undefined) {
+    return order;
+  }
+  const converter = createCurrencyConverter(order, options);
+  const converted = converter.convert(order);
+  converted.currency = BOOKING_CURRENCY;
+  converted.exchange = converter.exchange;
+  return converted;
+}
+
+/**
+ * Short note with original currency and rate, e.g. "EUR, kurs 11.6543"
+ */
+function describeExchange(exchange) {
+  if (!exchange) {
+    return '';
+  }
+  return `${exchange.currency}, kurs ${exchange.rate}`;
+}
+
+/**
+ * Append the original currency and rate to sale line descriptions
+ */
+function annotateLines(lines, exchange) {
+  if (!exchange) {
+    return lines;
+  }
+  const note = describeExchange(exchange);
+  return lines.map(line => ({ ...line, description: `${line.description} (${note})` }));
+}
+
+module.exports = {
+  BOOKING_CURRENCY,
+  loadRateTable,
+  lookupRate,
+  createCurrencyConverter,
+  convertOrderToNok,
+  describeExchange,
+  annotateLines
+};
@@ -0,0 +1,285 @@
+const pino = require('pino');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+// Notatattributter som kan inneholde organisasjonsnummer (kan overstyres)
+const DEFAULT_ORG_NUMBER_ATTRIBUTES = ['organization_number', 'org_number', 'orgnr', 'vat_number'];
+
+// Shopify-kundens ID lagres som gruppe «shopify:<id>» på kontakten i Fiken.
+// Medlemsnummeret er et heltallsfelt og har ikke plass til Shopifys 13-sifrede ID-er.
+const SHOPIFY_ID_GROUP_PREFIX = 'shopify:';
+
+function shopifyIdGroup(shopifyCustomerId) {
+  return `${SHOPIFY_ID_GROUP_PREFIX}${shopifyCustomerId}`;
+}
+
+/**
+ * Shopify customer ID stored on a Fiken contact, or null
+ */
+function getShopifyCustomerId(contact) {
+  const group = (contact.groups || []).find(entry => String(entry).startsWith(SHOPIFY_ID_GROUP_PREFIX));
+  return group ? String(group).slice(SHOPIFY_ID_GROUP_PREFIX.length) : null;
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+/**
+ * Digits only, without a Norwegian country prefix: "+47 912 34 567" → "91234567"
+ */
+function normalizePhone(phone) {
+  if (!phone) {
+    return null;
+  }
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.startsWith('0047')) {
+    digits = digits.slice(4);
+  } else if (digits.startsWith('47') && digits.length === 10) {
+    digits = digits.slice(2);
+  }
+  return digits || null;
+}
+
+/**
+ * Norwegian organisation numbers as 9 digits ("NO 923 456 789 MVA" → "923456789").
+ * Other VAT numbers are kept without spaces.
+ */
+function normalizeOrganizationNumber(value) {
+  if (!value) {
+    return null;
+  }
+  const compact = String(value).replace(/[\s.-]/g, '').toUpperCase();
+  const norwegian = compact.match(/^(?:NO)?(\d{9})(?:MVA)?$/);
+  if (norwegian) {
+    return norwegian[1];
+  }
+  return compact || null;
+}
+
+function customerSettingsFromEnv(env = process.env) {
+  const attributes = env.ORG_NUMBER_NOTE_ATTRIBUTES
+    ? env.ORG_NUMBER_NOTE_ATTRIBUTES.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_ORG_NUMBER_ATTRIBUTES;
+  return {
+    organizationNumberAttributes: attributes,
+    organizationNumberMetafield: env.ORG_NUMBER_METAFIELD || null,
+    invoiceEmailAttribute: env.INVOICE_EMAIL_NOTE_ATTRIBUTE || 'invoice_email'
+  };
+}
+
+/**
+ * Value of the first matching note attribute (names are case-insensitive)
+ */
+function getNoteAttribute(order, names) {
+  const wanted = (Array.isArray(names) ? names : [names]).filter(Boolean).map(name => name.toLowerCase());
+  const attribute = (order.note_attributes || [])
+    .find(entry => wanted.includes(String(entry.name || '').toLowerCase()) && entry.value);
+  return attribute ? String(attribute.value).trim() : null;
+}
+
+/**
+ * Value of a metafield given as "namespace.key", looked up on the customer
+ * first and then on the order
+ */
+function getMetafield(order, reference) {
+  if (!reference) {
+    return null;
+  }
+  const separator = reference.lastIndexOf('.');
+  const namespace = separator > 0 ? reference.slice(0, separator) : null;
+  const key = reference.slice(separator + 1);
+  const candidates = [...(order.customer?.metafields || []), ...(order.metafields || [])];
+  const metafield = candidates.find(entry => entry.key === key && (!namespace || entry.namespace === namespace) && entry.value);
+  return metafield ? String(metafield.value).trim() : null;
+}
+
+function getOrganizationNumber(order, settings = {}) {
+  const raw = getNoteAttribute(order, settings.organizationNumberAttributes || DEFAULT_ORG_NUMBER_ATTRIBUTES)
+    || getMetafield(order, settings.organizationNumberMetafield);
+  return normalizeOrganizationNumber(raw);
+}
+
+function getCompanyName(order) {
+  const company = order.billing_address?.company || order.customer?.default_address?.company;
+  return company ? company.trim() || null : null;
+}
+
+/**
+ * An order is treated as B2B when it has a company name or an organisation number
+ */
+function isBusinessOrder(order, settings = {}) {
+  return Boolean(getCompanyName(order) || getOrganizationNumber(order, settings));
+}
+
+/**
+ * Everything an order offers to identify the buyer
+ */
+function getOrderCustomerKeys(order, settings = {}) {
+  return {
+    shopifyCustomerId: order.customer?.id ? String(order.customer.id) : null,
+    email: normalizeEmail(order.customer?.email || order.email),
+    phone: normalizePhone(order.customer?.phone || order.phone || order.billing_address?.phone),
+    organizationNumber: getOrganizationNumber(order, settings)
+  };
+}
+
+function getBuyerName(order) {
+  const first = order.customer?.first_name || order.billing_address?.first_name || order.shipping_address?.first_name || '';
+  const last = order.customer?.last_name || order.billing_address?.last_name || order.shipping_address?.last_name || '';
+  return `${first} ${last}`.trim() || order.billing_address?.name || order.shipping_address?.name || null;
+}
+
+/**
+ * Shopify address → Fiken address
+ */
+function toFikenAddress(address) {
+  if (!address) {
+    return undefined;
+  }
+  return withoutEmpty({
+    streetAddress: address.address1,
+    streetAddressLine2: address.address2,
+    postCode: address.zip,
+    city: address.city,
+    country: address.country_code || address.country || 'NO'
+  });
+}
+
+function withoutEmpty(object) {
+  Object.keys(object).forEach(key => {
+    if (object[key] === undefined || object[key] === null || object[key] === '') {
+      delete object[key];
+    }
+  });
+  return object;
+}
+
+/**
+ * Fiken contact for the buyer of an order. Business orders become company
+ * contacts with organisation number and invoice email, and the buyer is
+ * returned separately as `contactPerson`.
+ */
+function buildContactPayload(order, settings = {}) {
+  const keys = getOrderCustomerKeys(order, settings);
+  const buyerName = getBuyerName(order);
+  const email = order.customer?.email || order.email;
+  const phoneNumber = order.billing_address?.phone || order.customer?.phone || order.phone;
+  const common = {
+    groups: keys.shopifyCustomerId ? [shopifyIdGroup(keys.shopifyCustomerId)] : undefined,
+    phoneNumber,
+    customer: true,
+    address: toFikenAddress(order.billing_address || order.customer?.default_address)
+  };
+
+  if (!isBusinessOrder(order, settings)) {
+    return {
+      contact: withoutEmpty({ name: buyerName || order.customer?.company || 'Shopify Customer', email, ...common }),
+      contactPerson: null
+    };
+  }
+
+  const contact = withoutEmpty({
+    name: getCompanyName(order) || buyerName || 'Shopify Customer',
+    organizationNumber: keys.organizationNumber,
+    email: getNoteAttribute(order, settings.invoiceEmailAttribute) || email,
+    ...common
+  });
+  const contactPerson = buyerName
+    ? withoutEmpty({ name: buyerName, email, phoneNumber })
+    : null;
+  return { contact, contactPerson };
+}
+
+/**
+ * In-memory index of the Fiken customer contacts of one company. Loaded once
+ * per run with full pagination and kept current as contacts are created.
+ */
+class CustomerIndex {
+  constructor(options) {
+    this.fiken = options.fiken;
+    this.companySlug = options.companySlug;
+    this.loaded = false;
+    this.byShopifyId = new Map();
+    this.byOrganizationNumber = new Map();
+    this.byEmail = new Map();
+    this.byPhone = new Map();
+    this.count = 0;
+  }
+
+  async load() {
+    if (this.loaded) {
+      return this;
+    }
+
+    for await (const contact of this.fiken.iterateCustomers(this.companySlug)) {
+      this.add(contact);
+    }
+
+    this.loaded = true;
+    logger.info({ companySlug: this.companySlug, count: this.count }, 'Loaded Fiken customer index');
+    return this;
+  }
+
+  add(contact) {
+    this.count += 1;
+    const shopifyId = getShopifyCustomerId(contact);
+    const organizationNumber = normalizeOrganizationNumber(contact.organizationNumber);
+    const email = normalizeEmail(contact.email);
+    const phone = normalizePhone(contact.phoneNumber);
+
+    // Første treff vinner, slik at eldste kontakt brukes ved duplikater
+    if (shopifyId && !this.byShopifyId.has(shopifyId)) {
+      this.byShopifyId.set(shopifyId, contact);
+    }
+    if (organizationNumber && !this.byOrganizationNumber.has(organizationNumber)) {
+      this.byOrganizationNumber.set(organizationNumber, contact);
+    }
+    if (email && !this.byEmail.has(email)) {
+      this.byEmail.set(email, contact);
+    }
+    if (phone && !this.byPhone.has(phone)) {
+      this.byPhone.set(phone, contact);
+    }
+  }
+
+  /**
+   * Find a contact by Shopify customer ID, email or phone, in that order.
+   * Returns `{ contact, matchedOn }` or null. When an organisation number is
+   * given, only a company with that number matches, so a buyer ordering for
+   * their business is not booked on their private contact.
+   */
+  find(keys) {
+    const organizationNumber = normalizeOrganizationNumber(keys.organizationNumber);
+    if (organizationNumber) {
+      const contact = this.byOrganizationNumber.get(organizationNumber);
+      return contact ? { contact, matchedOn: 'organizationNumber' } : null;
+    }
+
+    const lookups = [
+      ['shopifyCustomerId', this.byShopifyId, keys.shopifyCustomerId],
+      ['email', this.byEmail, normalizeEmail(keys.email)],
+      ['phone', this.byPhone, normalizePhone(keys.phone)]
+    ];
+    for (const [matchedOn, index, value] of lookups) {
+      if (value && index.has(value)) {
+        return { contact: index.get(value), matchedOn };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  CustomerIndex,
+  SHOPIFY_ID_GROUP_PREFIX,
+  getShopifyCustomerId,
+  customerSettingsFromEnv,
+  getOrderCustomerKeys,
+  getOrganizationNumber,
+  isBusinessOrder,
+  buildContactPayload,
+  normalizeEmail,
+  normalizePhone,
+  normalizeOrganizationNumber
+};
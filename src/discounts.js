@@ -0,0 +1,76 @@
+const { toOre } = require('./amounts');
+const { allocateProportionally } = require('./vat');
+
+/**
+ * Sum the discount allocations of a Shopify line item or shipping line in øre
+ */
+function sumDiscountAllocations(line) {
+  return (line.discount_allocations || [])
+    .reduce((sum, allocation) => sum + toOre(allocation.amount || allocation.amount_set?.shop_money?.amount), 0);
+}
+
+/**
+ * Discount in øre for every line item of an order, in line item order.
+ *
+ * Shopify allocates both line-level and order-level discounts to the lines
+ * through `discount_allocations`. Older exports lack those, so when no line
+ * carries an allocation the order's `total_discounts` is spread over the
+ * lines in proportion to their value. Shipping discounts are part of
+ * `total_discounts` but already taken off the shipping lines, so they are
+ * left out.
+ */
+function getLineItemDiscounts(order) {
+  const items = order.line_items || [];
+  const allocated = items.map(sumDiscountAllocations);
+  if (allocated.some(amount => amount > 0)) {
+    return allocated;
+  }
+
+  const shippingDiscount = (order.shipping_lines || []).reduce((sum, shipping) => sum + getShippingDiscount(shipping), 0);
+  const totalDiscount = toOre(order.total_discounts) - shippingDiscount;
+  if (totalDiscount <= 0) {
+    return allocated;
+  }
+
+  const buckets = items.map((item, index) => ({
+    index,
+    gross: toOre(item.price) * (Number(item.quantity) || 1)
+  }));
+  const discounts = items.map(() => 0);
+  allocateProportionally(totalDiscount, buckets).forEach(share => {
+    discounts[share.bucket.index] = share.amount;
+  });
+  return discounts;
+}
+
+/**
+ * Discount in øre on a shipping line
+ */
+function getShippingDiscount(shipping) {
+  const allocated = sumDiscountAllocations(shipping);
+  if (allocated > 0) {
+    return allocated;
+  }
+  if (shipping.discounted_price !== undefined && shipping.discounted_price !== null) {
+    return Math.max(toOre(shipping.price) - toOre(shipping.discounted_price), 0);
+  }
+  return 0;
+}
+
+/**
+ * Human readable label for the discounts used on an order (codes or titles)
+ */
+function describeDiscounts(order) {
+  const labels = (order.discount_applications || [])
+    .map(application => application.code || application.title || application.description)
+    .filter(Boolean);
+  const codes = (order.discount_codes || []).map(discount => discount.code).filter(Boolean);
+  return [...new Set([...labels, ...codes])].join(', ');
+}
+
+module.exports = {
+  sumDiscountAllocations,
+  getLineItemDiscounts,
+  getShippingDiscount,
+  describeDiscounts
+};
@@ -0,0 +1,110 @@
+const { toOre } = require('./amounts');
+const { normalizeGateway, getPaymentTransactions } = require('./payments');
+
+const SHOPIFY_PAYMENTS_GATEWAY = 'shopify_payments';
+
+// Hvor gebyret kommer fra, i prioritert rekkefølge
+const FEE_SOURCES = {
+  balanceTransactions: 'balance_transactions',
+  transactions: 'transactions',
+  estimate: 'estimate',
+  none: 'none'
+};
+
+/**
+ * Fee account and the estimate used when an order has no fee data
+ */
+function feeSettingsFromEnv(env = process.env) {
+  return {
+    account: env.PAYMENT_FEE_ACCOUNT_CODE || '7770',
+    percent: parseFloat(env.PAYMENT_FEE_PERCENT || '0') || 0,
+    fixedOre: parseInt(env.PAYMENT_FEE_AMOUNT_ORE || '0', 10) || 0
+  };
+}
+
+/**
+ * Fees Shopify Payments charged for the order, from the balance transactions
+ * of type `charge` (backup: `order.balance_transactions`)
+ */
+function getBalanceTransactionFees(order) {
+  if (!Array.isArray(order.balance_transactions)) {
+    return [];
+  }
+  return order.balance_transactions
+    .filter(transaction => transaction.type === 'charge')
+    .filter(transaction => !transaction.source_order_id || String(transaction.source_order_id) === String(order.id))
+    .map(transaction => ({ gateway: SHOPIFY_PAYMENTS_GATEWAY, amount: toOre(transaction.fee) }))
+    .filter(fee => fee.amount !== 0);
+}
+
+/**
+ * Fees reported on the sale/capture transactions themselves, either as a
+ * `fees` list or as `receipt.fee`
+ */
+function getTransactionFees(order) {
+  return (getPaymentTransactions(order) || [])
+    .map(transaction => {
+      const amount = Array.isArray(transaction.fees)
+        ? transaction.fees.reduce((sum, fee) => sum + toOre(fee.amount?.amount ?? fee.amount), 0)
+        : toOre(transaction.receipt?.fee);
+      return { gateway: normalizeGateway(transaction.gateway), amount };
+    })
+    .filter(fee => fee.amount !== 0);
+}
+
+/**
+ * Fee from PAYMENT_FEE_PERCENT (as a fraction) and PAYMENT_FEE_AMOUNT_ORE
+ */
+function estimateFee(gross, settings) {
+  let fee = settings.fixedOre || 0;
+  if (settings.percent > 0) {
+    fee += Math.round(gross * settings.percent);
+  }
+  return fee;
+}
+
+function summarize(source, fees) {
+  return { source, fees, amount: fees.reduce((sum, fee) => sum + fee.amount, 0) };
+}
+
+/**
+ * What the payment providers actually charged for an order as
+ * `{ source, amount, fees: [{ gateway, amount }] }`, or null when neither the
+ * balance transactions nor the order transactions carry fee data. Amounts
+ * must already be in NOK.
+ */
+function getActualFee(order) {
+  const balanceFees = getBalanceTransactionFees(order);
+  if (balanceFees.length) {
+    return summarize(FEE_SOURCES.balanceTransactions, balanceFees);
+  }
+  const transactionFees = getTransactionFees(order);
+  if (transactionFees.length) {
+    return summarize(FEE_SOURCES.transactions, transactionFees);
+  }
+  return null;
+}
+
+function describeFeeSource(source) {
+  switch (source) {
+    case FEE_SOURCES.balanceTransactions:
+      return 'Shopify Payments balance transactions';
+    case FEE_SOURCES.transactions:
+      return 'order transactions';
+    case FEE_SOURCES.estimate:
+      return 'estimate from PAYMENT_FEE_PERCENT/PAYMENT_FEE_AMOUNT_ORE';
+    default:
+      return 'no fee';
+  }
+}
+
+module.exports = {
+  SHOPIFY_PAYMENTS_GATEWAY,
+  FEE_SOURCES,
+  feeSettingsFromEnv,
+  getBalanceTransactionFees,
+  getTransactionFees,
+  estimateFee,
+  getActualFee,
+  describeFeeSource
+};
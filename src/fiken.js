@@ -1,20 +1,30 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const pino = require('pino');
+const { RequestScheduler, attachScheduler } = require('./requestScheduler');
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
+// Største sidestørrelse Fiken tillater
+const DEFAULT_PAGE_SIZE = 100;
+
 class FikenAPI {
-  constructor(apiToken, baseUrl = 'https://api.fiken.no/api/v2') {
+  /**
+   * `schedulerSettings` limits the request rate and retries, see
+   * `src/requestScheduler.js` (requestsPerSecond, concurrency, maxRetries, ...)
+   */
+  constructor(apiToken, baseUrl = 'https://api.fiken.no/api/v2', schedulerSettings = {}) {
     this.apiToken = apiToken;
     this.baseUrl = baseUrl;
-    this.client = axios.create({
+    this.scheduler = new RequestScheduler({ service: 'Fiken API', ...schedulerSettings });
+    this.client = attachScheduler(axios.create({
       baseURL: baseUrl,
+      timeout: this.scheduler.settings.timeoutMs,
       headers: {
         'Authorization': `Bearer ${apiToken}`,
         'Content-Type': 'application/json'
       }
-    });
+    }), this.scheduler);
   }
 
   /**
@@ -32,53 +42,58 @@ class FikenAPI {
   }
 
   /**
-   * Get customers for a specific company
+   * Get customers for a specific company. All pages are fetched unless
+   * `options.page` is given.
    */
-  async getCustomers(companySlug) {
-    try {
-      const response = await this.client.get(`/companies/${companySlug}/contacts`, {
-        params: { contactType: 'customer' }
-      });
-      logger.info({ companySlug, count: response.data.length }, 'Retrieved customers from Fiken');
-      return response.data;
-    } catch (error) {
-      logger.error({ error: error.message, companySlug }, 'Failed to get customers from Fiken');
-      throw error;
-    }
+  async getCustomers(companySlug, options = {}) {
+    return this.list(`/companies/${companySlug}/contacts`, { contactType: 'customer' }, options, { companySlug, label: 'customers' });
+  }
+
+  /**
+   * Iterate over all customers of a company, one page in memory at a time
+   */
+  iterateCustomers(companySlug, options = {}) {
+    return this.paginate(`/companies/${companySlug}/contacts`, { contactType: 'customer' }, options);
   }
 
   /**
-   * Get products for a specific company
+   * Add a contact person to an existing contact (used for company customers)
    */
-  async getProducts(companySlug) {
+  async addContactPerson(companySlug, contactId, person) {
     try {
-      const response = await this.client.get(`/companies/${companySlug}/products`);
-      logger.info({ companySlug, count: response.data.length }, 'Retrieved products from Fiken');
-      return response.data;
+      const response = await this.client.post(`/companies/${companySlug}/contacts/${contactId}/contactPerson`, person);
+      const locationHeader = response.headers.location;
+      const contactPersonId = locationHeader ? locationHeader.split('/').pop() : null;
+      logger.info({ companySlug, contactId, contactPersonId }, 'Added contact person in Fiken');
+      return { contactPersonId, ...person };
     } catch (error) {
-      logger.error({ error: error.message, companySlug }, 'Failed to get products from Fiken');
+      logger.error({ error: error.message, companySlug, contactId }, 'Failed to add contact person in Fiken');
       throw error;
     }
   }
 
   /**
-   * Get invoices for a specific company
+   * Get products for a specific company. All pages are fetched unless
+   * `options.page` is given.
+   */
+  async getProducts(companySlug, options = {}) {
+    return this.list(`/companies/${companySlug}/products`, {}, options, { companySlug, label: 'products' });
+  }
+
+  iterateProducts(companySlug, options = {}) {
+    return this.paginate(`/companies/${companySlug}/products`, {}, options);
+  }
+
+  /**
+   * Get invoices for a specific company. All pages are fetched unless
+   * `options.page` is given.
    */
   async getInvoices(companySlug, options = {}) {
-    try {
-      const params = {
-        page: options.page || 0,
-        pageSize: options.pageSize || 25,
-        ...options.filters
-      };
-      
-      const response = await this.client.get(`/companies/${companySlug}/invoices`, { params });
-      logger.info({ companySlug, count: response.data.length }, 'Retrieved invoices from Fiken');
-      return response.data;
-    } catch (error) {
-      logger.error({ error: error.message, companySlug }, 'Failed to get invoices from Fiken');
-      throw error;
-    }
+    return this.list(`/companies/${companySlug}/invoices`, options.filters, options, { companySlug, label: 'invoices' });
+  }
+
+  iterateInvoices(companySlug, options = {}) {
+    return this.paginate(`/companies/${companySlug}/invoices`, options.filters, options);
   }
 
   /**
@@ -109,15 +124,28 @@ class FikenAPI {
   }
 
   /**
-   * Create a new product in Fiken
+   * Create a new product in Fiken. The ID comes back in the Location header.
    */
   async createProduct(companySlug, productData) {
     try {
       const response = await this.client.post(`/companies/${companySlug}/products`, productData);
-      logger.info({ companySlug, productId: response.data.productId }, 'Created product in Fiken');
-      return response.data;
+      const locationHeader = response.headers.location;
+      const productId = locationHeader ? locationHeader.split('/').pop() : null;
+      const result = {
+        productId,
+        ...response.data
+      };
+
+      logger.info({ companySlug, productId }, 'Created product in Fiken');
+      return result;
     } catch (error) {
-      logger.error({ error: error.message, companySlug }, 'Failed to create product in Fiken');
+      logger.error({
+        error: error.message,
+        companySlug,
+        requestData: productData,
+        responseData: error.response?.data,
+        status: error.response?.status
+      }, 'Failed to create product in Fiken');
       throw error;
     }
   }
@@ -153,39 +181,93 @@ class FikenAPI {
   }
 
   /**
-   * Create a voucher (accounting entry) in Fiken
+   * Create a voucher (general journal entry) in Fiken. The ID comes back in
+   * the Location header and is returned as `journalEntryId`.
    */
   async createVoucher(companySlug, voucherData) {
     try {
       const response = await this.client.post(`/companies/${companySlug}/generalJournalEntries`, voucherData);
-      logger.info({ companySlug, voucherId: response.data.generalJournalEntryId }, 'Created voucher in Fiken');
-      return response.data;
+      const locationHeader = response.headers.location;
+      const journalEntryId = locationHeader ? locationHeader.split('/').pop() : null;
+      const result = {
+        journalEntryId,
+        ...response.data
+      };
+
+      logger.info({ companySlug, journalEntryId }, 'Created voucher in Fiken');
+      return result;
     } catch (error) {
-      logger.error({ error: error.message, companySlug }, 'Failed to create voucher in Fiken');
+      logger.error({
+        error: error.message,
+        companySlug,
+        requestData: voucherData,
+        responseData: error.response?.data,
+        status: error.response?.status
+      }, 'Failed to create voucher in Fiken');
       throw error;
     }
   }
 
   /**
-   * Get accounts (chart of accounts) for a company
+   * Attach a file (PDF/image) to a journal entry, e.g. a payout voucher
    */
-  async getAccounts(companySlug) {
+  async attachFileToJournalEntry(companySlug, journalEntryId, buffer, options = {}) {
     try {
-      const response = await this.client.get(`/companies/${companySlug}/accounts`);
-      logger.info({ companySlug, count: response.data.length }, 'Retrieved accounts from Fiken');
+      const filename = options.filename || 'attachment.pdf';
+      const contentType = options.contentType || 'application/pdf';
+
+      const form = new FormData();
+      form.append('file', buffer, { filename, contentType });
+      form.append('filename', filename);
+      if (options.description) {
+        form.append('comment', options.description);
+      }
+
+      // Buffer i stedet for strøm, så kallet kan sendes på nytt etter 429
+      const response = await this.client.post(
+        `/companies/${companySlug}/journalEntries/${journalEntryId}/attachments`,
+        form.getBuffer(),
+        {
+          headers: {
+            ...form.getHeaders()
+          }
+        }
+      );
+
+      logger.info({ companySlug, journalEntryId, filename }, 'Attached file to journal entry in Fiken');
       return response.data;
     } catch (error) {
-      logger.error({ error: error.message, companySlug }, 'Failed to get accounts from Fiken');
+      logger.error({
+        error: error.message,
+        companySlug,
+        journalEntryId,
+        responseData: error.response?.data,
+        status: error.response?.status
+      }, 'Failed to attach file to journal entry in Fiken');
       throw error;
     }
   }
 
+  /**
+   * Get accounts (chart of accounts) for a company. All pages are fetched
+   * unless `options.page` is given.
+   */
+  async getAccounts(companySlug, options = {}) {
+    return this.list(`/companies/${companySlug}/accounts`, options.filters, options, { companySlug, label: 'accounts' });
+  }
+
+  iterateAccounts(companySlug, options = {}) {
+    return this.paginate(`/companies/${companySlug}/accounts`, options.filters, options);
+  }
+
   /**
    * Set invoice counter for a company
    */
   async setInvoiceCounter(companySlug, counterData) {
     try {
-      const response = await this.client.post(`/companies/${companySlug}/invoices/counter`, counterData);
+      const response = await this.client.post(`/companies/${companySlug}/invoices/counter`, counterData, {
+        retrySafe: true
+      });
       logger.info({ companySlug, nextInvoiceNumber: counterData.nextInvoiceNumber }, 'Set invoice counter in Fiken');
       return response.data;
     } catch (error) {
@@ -206,7 +288,10 @@ class FikenAPI {
   async sendInvoice(companySlug, invoiceId) {
     try {
       logger.info({ companySlug, invoiceId }, 'Attempting to send invoice in Fiken');
-      const response = await this.client.put(`/companies/${companySlug}/invoices/${invoiceId}/actions/send`);
+      const response = await this.client.put(`/companies/${companySlug}/invoices/${invoiceId}/actions/send`, undefined, {
+        // Å sende på nytt gir kunden en ny e-post
+        retrySafe: false
+      });
       logger.info({ companySlug, invoiceId, status: response.status }, 'Sent invoice in Fiken');
       return response.data;
     } catch (error) {
@@ -275,6 +360,44 @@ class FikenAPI {
     }
   }
 
+  /**
+   * Get sales for a specific company (filters such as saleNumber, dateGe,
+   * dateLe). All pages are fetched unless `options.page` is given.
+   */
+  async getSales(companySlug, options = {}) {
+    return this.list(`/companies/${companySlug}/sales`, options.filters, options, { companySlug, label: 'sales' });
+  }
+
+  iterateSales(companySlug, options = {}) {
+    return this.paginate(`/companies/${companySlug}/sales`, options.filters, options);
+  }
+
+  /**
+   * Find a sale by its sale number, or null when it does not exist
+   */
+  async findSaleByNumber(companySlug, saleNumber) {
+    const sales = await this.getSales(companySlug, {
+      page: 0,
+      pageSize: 1,
+      filters: { saleNumber }
+    });
+    return Array.isArray(sales) && sales.length > 0 ? sales[0] : null;
+  }
+
+  /**
+   * Get a specific sale by ID
+   */
+  async getSale(companySlug, saleId) {
+    try {
+      const response = await this.client.get(`/companies/${companySlug}/sales/${saleId}`);
+      logger.info({ companySlug, saleId }, 'Retrieved sale from Fiken');
+      return response.data;
+    } catch (error) {
+      logger.error({ error: error.message, companySlug, saleId }, 'Failed to get sale from Fiken');
+      throw error;
+    }
+  }
+
   /**
    * Add payment to a sale (used for external_invoice cash settlements)
    */
@@ -318,9 +441,10 @@ class FikenAPI {
       form.append('description', description);
       form.append('filename', filename);
 
+      // Buffer i stedet for strøm, så kallet kan sendes på nytt etter 429
       const response = await this.client.post(
         `/companies/${companySlug}/sales/${saleId}/attachments`,
-        form,
+        form.getBuffer(),
         {
           headers: {
             ...form.getHeaders()
@@ -357,9 +481,10 @@ class FikenAPI {
   }
 
   /**
-   * Generic request method for making API calls to Fiken
+   * Generic request method for making API calls to Fiken. Pass
+   * `{ retrySafe: true }` to allow retries of a POST that can be repeated.
    */
-  async request(method, endpoint, data = null) {
+  async request(method, endpoint, data = null, options = {}) {
     try {
       const config = {
         method: method.toUpperCase(),
@@ -369,6 +494,9 @@ class FikenAPI {
           'Content-Type': 'application/json'
         }
       };
+      if (typeof options.retrySafe === 'boolean') {
+        config.retrySafe = options.retrySafe;
+      }
 
       if (data && ['POST', 'PUT', 'PATCH'].includes(config.method)) {
         config.data = data;
@@ -410,6 +538,97 @@ class FikenAPI {
     }
   }
 
+  /**
+   * Fetch one page of a list endpoint. Fiken reports the paging in the
+   * Fiken-Api-Page / Fiken-Api-Page-Count response headers.
+   */
+  async fetchPage(endpoint, params = {}, page = 0, pageSize = DEFAULT_PAGE_SIZE) {
+    const response = await this.client.get(endpoint, {
+      params: { ...params, page, pageSize }
+    });
+    const items = Array.isArray(response.data) ? response.data : [];
+    const pageCount = parseInt(response.headers?.['fiken-api-page-count'], 10);
+    const resultCount = parseInt(response.headers?.['fiken-api-result-count'], 10);
+    return {
+      items,
+      page: parseInt(response.headers?.['fiken-api-page'], 10) || page,
+      pageSize,
+      pageCount: Number.isNaN(pageCount) ? null : pageCount,
+      resultCount: Number.isNaN(resultCount) ? null : resultCount
+    };
+  }
+
+  /**
+   * Async iterator over the pages of a list endpoint
+   */
+  async *paginatePages(endpoint, params = {}, options = {}) {
+    const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+    for (let page = options.startPage || 0; ; page += 1) {
+      const result = await this.fetchPage(endpoint, params, page, pageSize);
+      yield result;
+
+      // Uten Fiken-Api-Page-Count stopper vi på første ufulle side
+      const lastPage = result.pageCount !== null
+        ? page + 1 >= result.pageCount
+        : result.items.length < pageSize;
+      if (lastPage || result.items.length === 0) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Async iterator over every item of a list endpoint, e.g.
+   * `for await (const sale of fiken.paginate('/companies/x/sales')) { ... }`
+   */
+  async *paginate(endpoint, params = {}, options = {}) {
+    for await (const result of this.paginatePages(endpoint, params, options)) {
+      yield* result.items;
+    }
+  }
+
+  /**
+   * GET every page of a list endpoint and return the combined items
+   */
+  async requestAll(endpoint, params = {}, options = {}) {
+    const url = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
+    try {
+      const items = [];
+      for await (const item of this.paginate(url, params, options)) {
+        items.push(item);
+      }
+      logger.info({ url, count: items.length }, 'Fiken API paginated request successful');
+      return items;
+    } catch (error) {
+      logger.error({ url, error: error.message, response: error.response?.data }, 'Fiken API paginated request failed');
+      throw error;
+    }
+  }
+
+  /**
+   * Shared implementation of the get* list methods: a single page when
+   * `options.page` is set, otherwise every page
+   */
+  async list(endpoint, params = {}, options = {}, context = {}) {
+    const { label, ...logContext } = context;
+    try {
+      let items;
+      if (options.page !== undefined) {
+        items = (await this.fetchPage(endpoint, params, options.page, options.pageSize || DEFAULT_PAGE_SIZE)).items;
+      } else {
+        items = [];
+        for await (const item of this.paginate(endpoint, params, options)) {
+          items.push(item);
+        }
+      }
+      logger.info({ ...logContext, page: options.page, count: items.length }, `Retrieved ${label} from Fiken`);
+      return items;
+    } catch (error) {
+      logger.error({ ...logContext, error: error.message }, `Failed to get ${label} from Fiken`);
+      throw error;
+    }
+  }
+
   /**
    * Test the API connection and return basic info
    */
@@ -0,0 +1,169 @@
+const JsonStore = require('./stateStore');
+
+/**
+ * Local journal of imported Shopify orders, keyed by Shopify order ID.
+ *
+ * Every step of an import (sale, payments, fee, attachment, refunds) is
+ * recorded with its Fiken IDs as soon as it succeeds, so an interrupted run
+ * can be resumed where it stopped.
+ */
+class ImportLedger {
+  constructor(filePath) {
+    this.store = new JsonStore(filePath);
+  }
+
+  get(orderId) {
+    return this.store.get(orderId);
+  }
+
+  isCompleted(orderId) {
+    return this.get(orderId)?.status === 'completed';
+  }
+
+  hasStep(orderId, step) {
+    return Boolean(this.get(orderId)?.steps?.[step]);
+  }
+
+  recordSale(order, saleNumber, saleId, details = {}) {
+    return this.store.set(order.id, {
+      orderId: order.id,
+      orderNumber: order.order_number,
+      saleNumber,
+      saleId,
+      status: 'in-progress',
+      steps: {
+        sale: { saleId, at: new Date().toISOString(), ...details }
+      },
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a finished step such as `bankPayment`, `giftCardPayment`,
+   * `payment:<account>`, `feePayment` or `attachment`
+   */
+  recordStep(orderId, step, details = {}) {
+    const entry = this.get(orderId);
+    if (!entry) {
+      throw new Error(`No ledger entry for order ${orderId}`);
+    }
+    return this.store.update(orderId, {
+      steps: {
+        ...entry.steps,
+        [step]: { ...details, at: new Date().toISOString() }
+      },
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  recordRefund(orderId, refundId, details) {
+    const entry = this.get(orderId);
+    if (!entry) {
+      return null;
+    }
+    return this.store.update(orderId, {
+      refunds: {
+        ...(entry.refunds || {}),
+        [refundId]: { ...details, at: new Date().toISOString() }
+      },
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * The sale is booked but the order is not fully paid; later runs register
+   * new captures (`capture:<account>:<n>` steps) until it is
+   */
+  isAwaitingPayment(orderId) {
+    return this.get(orderId)?.status === 'awaiting-payment';
+  }
+
+  markAwaitingPayment(orderId) {
+    return this.store.update(orderId, {
+      status: 'awaiting-payment',
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Captured amounts registered so far per settlement account, from the
+   * capture steps and any payment steps adopted from Fiken
+   */
+  capturedByAccount(orderId) {
+    const captured = {};
+    for (const [step, details] of Object.entries(this.get(orderId)?.steps || {})) {
+      if (step !== 'feePayment' && details.account && details.paymentId) {
+        captured[details.account] = (captured[details.account] || 0) + (details.captured ?? details.amount);
+      }
+    }
+    return captured;
+  }
+
+  markCompleted(orderId) {
+    return this.store.update(orderId, {
+      status: 'completed',
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Entries whose sale exists but where later steps are still missing
+   */
+  incomplete() {
+    return this.store.values().filter(entry => !['completed', 'awaiting-payment'].includes(entry.status));
+  }
+}
+
+/**
+ * Journal of refund and cancellation credit sales, keyed by the credit
+ * sale number (`#1001-R<refund id>`, `#1001-C`). Each credit sale goes
+ * through the same steps as a sale (sale, `payment:<account>`,
+ * `attachment`), so a crash between creating it and paying it back is
+ * resumed on the next run.
+ */
+class CreditLedger extends ImportLedger {
+  recordSale(order, saleNumber, saleId, details = {}) {
+    return this.store.set(saleNumber, {
+      orderId: order.id,
+      orderNumber: order.order_number,
+      saleNumber,
+      saleId,
+      status: 'in-progress',
+      steps: {
+        sale: { saleId, at: new Date().toISOString(), ...details }
+      },
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record a credit sale found in Fiken without an entry (created by a run
+   * that stopped before writing it, or before the journal existed), with
+   * the payments and attachment it already has
+   */
+  adoptSale(order, saleNumber, sale) {
+    this.recordSale(order, saleNumber, sale.saleId, { adopted: true });
+    for (const payment of sale.salePayments || []) {
+      const step = CreditLedger.paymentStep(payment.account);
+      if (!this.hasStep(saleNumber, step)) {
+        this.recordStep(saleNumber, step, {
+          paymentId: payment.paymentId,
+          amount: payment.amount,
+          account: payment.account,
+          adopted: true
+        });
+      }
+    }
+    if ((sale.saleAttachments || []).length) {
+      this.recordStep(saleNumber, 'attachment', { adopted: true });
+    }
+    return this.get(saleNumber);
+  }
+
+  static paymentStep(account) {
+    return `payment:${account}`;
+  }
+}
+
+module.exports = ImportLedger;
+module.exports.CreditLedger = CreditLedger;
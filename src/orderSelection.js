@@ -0,0 +1,159 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE_PATTERNS = ['ordre_*.json'];
+
+/**
+ * Filename glob (`*` and `?`) → RegExp matching the whole basename
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Comma separated globs, e.g. "ordre_*.json,order-*.json"
+ */
+function parseFilePatterns(value) {
+  if (!value) {
+    return DEFAULT_FILE_PATTERNS;
+  }
+  const patterns = String(value).split(',').map(pattern => pattern.trim()).filter(Boolean);
+  return patterns.length ? patterns : DEFAULT_FILE_PATTERNS;
+}
+
+/**
+ * All order files below `root` (any depth, e.g. `2025/09/ordre_1001.json`)
+ * whose name matches one of the patterns, sorted by relative path
+ */
+function findOrderFiles(root, patterns = DEFAULT_FILE_PATTERNS) {
+  const matchers = patterns.map(globToRegExp);
+  const files = [];
+
+  const walk = directory => {
+    const entries = fs.readdirSync(directory, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (entry.isFile() && matchers.some(matcher => matcher.test(entry.name))) {
+        files.push(fullPath);
+      }
+    }
+  };
+
+  walk(root);
+  return files;
+}
+
+function normalizeOrderNumber(value) {
+  return String(value).trim().replace(/^#/, '');
+}
+
+/**
+ * Order numbers from `--order` values and an orders file. Values may be
+ * separated by commas, whitespace or new lines and may start with "#".
+ */
+function parseOrderNumbers(values) {
+  return values
+    .flatMap(value => String(value).split(/[\s,;]+/))
+    .map(normalizeOrderNumber)
+    .filter(Boolean);
+}
+
+function readOrderNumbersFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Orders file not found: ${filePath}`);
+  }
+  return parseOrderNumbers([fs.readFileSync(filePath, 'utf8')]);
+}
+
+const FINANCIAL_STATUSES = ['pending', 'authorized', 'partially_paid', 'paid', 'partially_refunded', 'refunded', 'voided', 'expired'];
+
+// Ordre med disse statusene bokføres som salg (refusjonene krediteres i tillegg)
+const DEFAULT_FINANCIAL_STATUSES = ['paid', 'partially_paid', 'authorized', 'partially_refunded', 'refunded'];
+
+/**
+ * Financial statuses to import from a list or comma separated string
+ * (ORDER_FINANCIAL_STATUSES), the defaults when empty
+ */
+function parseFinancialStatuses(value) {
+  const statuses = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(status => String(status).trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = statuses.filter(status => !FINANCIAL_STATUSES.includes(status));
+  if (unknown.length) {
+    throw new Error(`Unknown financial status ${unknown.join(', ')} (expected ${FINANCIAL_STATUSES.join(', ')})`);
+  }
+  return statuses.length ? statuses : DEFAULT_FINANCIAL_STATUSES;
+}
+
+/**
+ * Booking date of an order, the same date the sale gets in Fiken
+ */
+function getOrderDate(order) {
+  return (order.processed_at || order.created_at || '').split('T')[0] || null;
+}
+
+/**
+ * Predicate for `--from`/`--to` (inclusive, YYYY-MM-DD) and order numbers.
+ * Order numbers match `order_number`, `name` or the Shopify order ID.
+ */
+function createOrderFilter(criteria = {}) {
+  const wanted = criteria.orderNumbers?.length ? new Set(criteria.orderNumbers.map(normalizeOrderNumber)) : null;
+
+  return order => {
+    if (wanted) {
+      const candidates = [order.order_number, order.name, order.id]
+        .filter(value => value !== undefined && value !== null)
+        .map(normalizeOrderNumber);
+      if (!candidates.some(candidate => wanted.has(candidate))) {
+        return false;
+      }
+    }
+    const date = getOrderDate(order);
+    if (criteria.from && (!date || date < criteria.from)) {
+      return false;
+    }
+    if (criteria.to && (!date || date > criteria.to)) {
+      return false;
+    }
+    return true;
+  };
+}
+
+function validateDate(value, flag) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '') || Number.isNaN(Date.parse(value))) {
+    throw new Error(`${flag} expects a date as YYYY-MM-DD, got "${value}"`);
+  }
+  return value;
+}
+
+module.exports = {
+  DEFAULT_FILE_PATTERNS,
+  DEFAULT_FINANCIAL_STATUSES,
+  parseFinancialStatuses,
+  globToRegExp,
+  parseFilePatterns,
+  findOrderFiles,
+  parseOrderNumbers,
+  readOrderNumbersFile,
+  getOrderDate,
+  createOrderFilter,
+  validateDate
+};
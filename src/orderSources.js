@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const pino = require('pino');
+const ShopifyAPI = require('./shopify');
+const { parseFilePatterns, findOrderFiles, createOrderFilter } = require('./orderSelection');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+// Gebyret (charge) registreres gjerne noen dager etter ordren
+const BALANCE_TRANSACTION_MARGIN_DAYS = 7;
+
+/*
+ * An order source is any object with `describe()` and an async iterator
+ * `orders(criteria)` yielding Shopify order JSON. `criteria` has `from`,
+ * `to` (YYYY-MM-DD) and `orderNumbers`, as parsed by the migration CLI.
+ */
+
+/**
+ * Reads `ordre_*.json` files (or other patterns) below a backup folder
+ */
+class BackupFolderSource {
+  constructor(options) {
+    this.ordersPath = options.ordersPath;
+    this.filePatterns = options.filePatterns || parseFilePatterns();
+  }
+
+  describe() {
+    return `backup folder ${this.ordersPath}`;
+  }
+
+  async *orders(criteria = {}) {
+    if (!fs.existsSync(this.ordersPath)) {
+      throw new Error(`Orders directory not found: ${this.ordersPath}`);
+    }
+
+    const matches = createOrderFilter(criteria);
+    for (const file of findOrderFiles(this.ordersPath, this.filePatterns)) {
+      let order;
+      try {
+        order = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        logger.warn({ file: path.relative(this.ordersPath, file), error: error.message }, 'Failed to read order file');
+        continue;
+      }
+      if (matches(order)) {
+        yield order;
+      }
+    }
+  }
+}
+
+function shiftDate(date, days) {
+  const shifted = new Date(`${date}T00:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().split('T')[0];
+}
+
+/**
+ * Where balance transaction paging can stop: a week before the earliest of
+ * `dates` (ISO timestamps or YYYY-MM-DD), or null when one is unknown
+ */
+function balanceTransactionsSince(dates) {
+  if (!dates.length || dates.some(date => !date)) {
+    return null;
+  }
+  const earliest = dates.map(date => date.split('T')[0]).sort()[0];
+  return shiftDate(earliest, -BALANCE_TRANSACTION_MARGIN_DAYS);
+}
+
+/**
+ * Pages through orders in the Shopify Admin API. With `dateField`
+ * `processed_at` (default) `--from`/`--to` select orders by booking date;
+ * with `updated_at` they select orders changed in the period, which also
+ * catches refunds and cancellations of older orders.
+ */
+class ShopifyApiSource {
+  constructor(options) {
+    this.shopify = options.shopify;
+    this.dateField = options.dateField || 'processed_at';
+    this.includeTransactions = options.includeTransactions !== false;
+    this.includeBalanceTransactions = options.includeBalanceTransactions !== false;
+    this.includeProducts = options.includeProducts !== false;
+    this.balanceTransactions = null;
+    this.products = new Map();
+    if (!['processed_at', 'updated_at'].includes(this.dateField)) {
+      throw new Error(`Unsupported Shopify order date field: ${this.dateField}`);
+    }
+  }
+
+  describe() {
+    return `Shopify Admin API (${this.shopify.shopDomain || this.shopify.baseUrl}, by ${this.dateField})`;
+  }
+
+  async *orders(criteria = {}) {
+    const matches = this.dateField === 'processed_at'
+      ? createOrderFilter(criteria)
+      : createOrderFilter({ orderNumbers: criteria.orderNumbers });
+
+    if (criteria.orderNumbers?.length) {
+      // Hele utvalget hentes først, så saldotransaksjonene bare pages tilbake til den eldste ordren
+      const selected = [];
+      for (const orderNumber of criteria.orderNumbers) {
+        const orders = await this.shopify.getOrdersByName(orderNumber);
+        selected.push(...orders.filter(matches));
+      }
+      const since = balanceTransactionsSince(selected.map(order => order.processed_at || order.created_at));
+      for (const order of selected) {
+        yield await this.enrich(order, since);
+      }
+      return;
+    }
+
+    // Shopify tolker tidspunktene i butikkens tidssone; et døgn ekstra i hver
+    // ende og filtrering på ordredato gir samme utvalg som backup-mappen
+    const margin = this.dateField === 'processed_at' ? 1 : 0;
+    const params = {};
+    if (criteria.from) {
+      params[`${this.dateField}_min`] = `${shiftDate(criteria.from, -margin)}T00:00:00`;
+    }
+    if (criteria.to) {
+      params[`${this.dateField}_max`] = `${shiftDate(criteria.to, margin)}T23:59:59`;
+    }
+
+    // Med updated_at kan endrede ordrer være vilkårlig gamle, så da pages hele historikken
+    const since = this.dateField === 'processed_at' && criteria.from
+      ? balanceTransactionsSince([criteria.from])
+      : null;
+    for await (const order of this.shopify.iterateOrders(params)) {
+      if (matches(order)) {
+        yield await this.enrich(order, since);
+      }
+    }
+  }
+
+  async enrich(order, since = null) {
+    return this.withProductData(await this.withPaymentData(order, since));
+  }
+
+  /**
+   * The orders endpoint leaves out transactions, which tell how the order
+   * was paid (gift cards, gateways), and the Shopify Payments balance
+   * transactions with the fees actually charged
+   */
+  async withPaymentData(order, since = null) {
+    const enriched = { ...order };
+    if (this.includeTransactions && !Array.isArray(order.transactions)) {
+      enriched.transactions = await this.shopify.getTransactions(order.id);
+    }
+    if (this.includeBalanceTransactions && !Array.isArray(order.balance_transactions)) {
+      const index = await this.loadBalanceTransactions(since);
+      if (index) {
+        enriched.balance_transactions = index.get(String(order.id)) || [];
+      }
+    }
+    return enriched;
+  }
+
+  /**
+   * Line items carry `vendor` but not the product type and tags the account
+   * rules can match on; they are added as `product_type` and `product_tags`
+   * from the product, fetched once per product and run
+   */
+  async withProductData(order) {
+    if (!this.includeProducts) {
+      return order;
+    }
+    const missing = [...new Set((order.line_items || [])
+      .map(item => item.product_id)
+      .filter(productId => productId && !this.products.has(String(productId))))];
+    if (missing.length) {
+      const products = await this.shopify.getProductsByIds(missing, 'id,product_type,tags');
+      for (const productId of missing) {
+        const product = products.find(candidate => String(candidate.id) === String(productId));
+        // Slettede produkter finnes ikke lenger; husk det så de ikke hentes igjen
+        this.products.set(String(productId), product || null);
+      }
+    }
+    return {
+      ...order,
+      line_items: (order.line_items || []).map(item => {
+        const product = item.product_id ? this.products.get(String(item.product_id)) : null;
+        if (!product) {
+          return item;
+        }
+        return {
+          ...item,
+          product_type: item.product_type ?? product.product_type,
+          product_tags: item.product_tags ?? product.tags
+        };
+      })
+    };
+  }
+
+  /**
+   * Balance transactions grouped by order ID, loaded once per run. Paging
+   * stops at `since` (YYYY-MM-DD, see `balanceTransactionsSince`), or runs
+   * through the whole history when it is null. Returns null when the shop
+   * has no Shopify Payments or the token lacks access, so fees fall back to
+   * the estimate.
+   */
+  loadBalanceTransactions(since = null) {
+    if (!this.balanceTransactions) {
+      this.balanceTransactions = this.fetchBalanceTransactions(since);
+    }
+    return this.balanceTransactions;
+  }
+
+  async fetchBalanceTransactions(since) {
+    const index = new Map();
+    try {
+      for await (const transaction of this.shopify.iterateBalanceTransactions()) {
+        if (since && transaction.processed_at && transaction.processed_at.split('T')[0] < since) {
+          break;
+        }
+        if (!transaction.source_order_id) {
+          continue;
+        }
+        const key = String(transaction.source_order_id);
+        index.set(key, [...(index.get(key) || []), transaction]);
+      }
+    } catch (error) {
+      if ([401, 403, 404].includes(error.response?.status)) {
+        logger.warn({ status: error.response.status }, 'Shopify Payments balance transactions not available, fees will be estimated');
+        return null;
+      }
+      throw error;
+    }
+    return index;
+  }
+}
+
+function orderSourceSettingsFromEnv(env = process.env) {
+  return {
+    type: (env.ORDER_SOURCE || 'backup').toLowerCase(),
+    ordersPath: env.ORDERS_BACKUP_PATH || '/path/to/shopify/orders/backup',
+    filePatterns: parseFilePatterns(env.ORDERS_FILE_PATTERN),
+    shop: env.SHOPIFY_SHOP || null,
+    accessToken: env.SHOPIFY_ACCESS_TOKEN || null,
+    apiVersion: env.SHOPIFY_API_VERSION || undefined,
+    baseUrl: env.SHOPIFY_API_BASE_URL || undefined,
+    dateField: env.SHOPIFY_ORDER_DATE_FIELD || 'processed_at',
+    includeTransactions: env.SHOPIFY_FETCH_TRANSACTIONS !== 'false',
+    includeBalanceTransactions: env.SHOPIFY_FETCH_BALANCE_TRANSACTIONS !== 'false',
+    includeProducts: env.SHOPIFY_FETCH_PRODUCTS !== 'false'
+  };
+}
+
+function createOrderSource(settings) {
+  if (settings.type === 'backup') {
+    return new BackupFolderSource(settings);
+  }
+  if (settings.type === 'shopify') {
+    if (!settings.accessToken || !(settings.shop || settings.baseUrl)) {
+      throw new Error('The shopify order source needs SHOPIFY_SHOP (or SHOPIFY_API_BASE_URL) and SHOPIFY_ACCESS_TOKEN');
+    }
+    const shopify = settings.shopify || new ShopifyAPI(settings.shop, settings.accessToken, {
+      apiVersion: settings.apiVersion,
+      baseUrl: settings.baseUrl
+    });
+    return new ShopifyApiSource({
+      shopify,
+      dateField: settings.dateField,
+      includeTransactions: settings.includeTransactions,
+      includeBalanceTransactions: settings.includeBalanceTransactions,
+      includeProducts: settings.includeProducts
+    });
+  }
+  throw new Error(`Unknown order source "${settings.type}" (expected backup or shopify)`);
+}
+
+module.exports = {
+  BackupFolderSource,
+  ShopifyApiSource,
+  orderSourceSettingsFromEnv,
+  createOrderSource
+};
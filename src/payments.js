@@ -0,0 +1,215 @@
+const { toOre } = require('./amounts');
+const { allocateProportionally } = require('./vat');
+
+const GIFT_CARD_GATEWAY = 'gift_card';
+const DEFAULT_BANK_ACCOUNT = '1920:10001';
+const DEFAULT_GIFT_CARD_ACCOUNT = '2900';
+
+// Ordren er ferdig betalt; ellers (depositum, Klarna-autorisasjon) registreres bare det som er trukket
+const PAID_FINANCIAL_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+/**
+ * "Shopify Payments" → "shopify_payments", so map keys can be written either way
+ */
+function normalizeGateway(name) {
+  return String(name || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Gateway → settlement account map from JSON, e.g.
+ * {"shopify_payments": "1920:10002", "vipps": "1921", "klarna": "1579"}
+ */
+function parseGatewayAccounts(value) {
+  let map = value;
+  if (!map) {
+    return {};
+  }
+  if (typeof map === 'string') {
+    try {
+      map = JSON.parse(map);
+    } catch (error) {
+      throw new Error(`Invalid payment gateway account map: ${error.message}`);
+    }
+  }
+  return Object.fromEntries(Object.entries(map).map(([gateway, account]) => [normalizeGateway(gateway), String(account)]));
+}
+
+/**
+ * Settlement accounts from environment variables
+ */
+function paymentSettingsFromEnv(env = process.env) {
+  return {
+    bankAccount: env.BANK_ACCOUNT_CODE || DEFAULT_BANK_ACCOUNT,
+    giftCardAccount: env.GIFT_CARD_ACCOUNT_CODE || DEFAULT_GIFT_CARD_ACCOUNT,
+    gatewayAccounts: parseGatewayAccounts(env.PAYMENT_GATEWAY_ACCOUNTS)
+  };
+}
+
+function isSuccessful(transaction) {
+  return !transaction.status || transaction.status === 'success';
+}
+
+function isGiftCardTransaction(transaction) {
+  return normalizeGateway(transaction.gateway) === GIFT_CARD_GATEWAY;
+}
+
+/**
+ * Account a gateway settles to. Gift cards go to the gift card liability
+ * account, unknown gateways to the bank account.
+ */
+function accountForGateway(gateway, settings) {
+  const key = normalizeGateway(gateway);
+  const mapped = settings.gatewayAccounts?.[key];
+  if (mapped) {
+    return mapped;
+  }
+  return key === GIFT_CARD_GATEWAY ? settings.giftCardAccount : settings.bankAccount;
+}
+
+/**
+ * Successful sale/capture transactions of an order. Returns null when the
+ * order carries no transaction data (the REST order does not include it;
+ * backups and the API source may add it as `order.transactions`).
+ */
+function getPaymentTransactions(order) {
+  if (!Array.isArray(order.transactions)) {
+    return null;
+  }
+  return order.transactions
+    .filter(transaction => ['sale', 'capture'].includes(transaction.kind) && isSuccessful(transaction));
+}
+
+function isFullyPaid(order) {
+  return PAID_FINANCIAL_STATUSES.includes(order.financial_status);
+}
+
+/**
+ * Merge gateway amounts into one payment per settlement account and make
+ * them add up to `gross` (left as they are when `gross` is null)
+ */
+function toPayments(entries, gross, settings) {
+  const byAccount = new Map();
+  for (const entry of entries) {
+    const gateway = normalizeGateway(entry.gateway) || null;
+    const account = accountForGateway(gateway, settings);
+    const payment = byAccount.get(account) || {
+      type: gateway === GIFT_CARD_GATEWAY ? 'giftCard' : 'gateway',
+      gateways: [],
+      account,
+      amount: 0
+    };
+    if (gateway && !payment.gateways.includes(gateway)) {
+      payment.gateways.push(gateway);
+    }
+    payment.amount += entry.amount;
+    byAccount.set(account, payment);
+  }
+
+  const payments = [...byAccount.values()].filter(payment => payment.amount > 0);
+  const total = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  if (gross === null || total === gross || !payments.length) {
+    return payments;
+  }
+
+  // Avvik (avrunding, valuta, delvis refundert salg) fordeles etter andel
+  return allocateProportionally(gross, payments.map(payment => ({ payment, gross: payment.amount })))
+    .map(share => ({ ...share.bucket.payment, amount: share.amount }));
+}
+
+/**
+ * How the gross of a sale was paid, as one payment per settlement account:
+ * `{ type: 'giftCard' | 'gateway', gateways, account, amount }`. Split-tender
+ * orders give several payments. Without transactions the whole amount is
+ * put on the first non gift card gateway in `payment_gateway_names`.
+ */
+function splitPayments(order, gross, settings) {
+  const transactions = getPaymentTransactions(order);
+  if (transactions && transactions.length) {
+    return toPayments(transactions.map(transaction => ({
+      gateway: transaction.gateway,
+      amount: toOre(transaction.amount)
+    })), gross, settings);
+  }
+
+  const gateways = (order.payment_gateway_names || []).map(normalizeGateway).filter(Boolean);
+  const gateway = gateways.length && gateways.every(name => name === GIFT_CARD_GATEWAY)
+    ? GIFT_CARD_GATEWAY
+    : gateways.find(name => name !== GIFT_CARD_GATEWAY) || null;
+  return toPayments([{ gateway, amount: gross }], gross, settings);
+}
+
+/**
+ * Money captured so far on an order that is not fully paid, one payment per
+ * settlement account and not scaled to the sale gross. Authorizations that
+ * were never captured do not count. Without transactions the captured
+ * amount is `gross` less `total_outstanding` (nothing for authorized
+ * orders).
+ */
+function splitCapturedPayments(order, gross, settings) {
+  const transactions = getPaymentTransactions(order);
+  if (transactions && transactions.length) {
+    return toPayments(transactions.map(transaction => ({
+      gateway: transaction.gateway,
+      amount: toOre(transaction.amount)
+    })), null, settings);
+  }
+  if (order.financial_status !== 'partially_paid' || order.total_outstanding === undefined) {
+    return [];
+  }
+  const captured = Math.max(0, Math.min(gross, gross - toOre(order.total_outstanding)));
+  const gateway = (order.payment_gateway_names || []).map(normalizeGateway).find(name => name && name !== GIFT_CARD_GATEWAY) || null;
+  return toPayments([{ gateway, amount: captured }], null, settings);
+}
+
+/**
+ * Date of the latest successful sale/capture transaction, or null
+ */
+function getLastCaptureDate(order) {
+  const dates = (getPaymentTransactions(order) || [])
+    .map(transaction => (transaction.processed_at || transaction.created_at || '').split('T')[0])
+    .filter(Boolean)
+    .sort();
+  return dates.length ? dates[dates.length - 1] : null;
+}
+
+/**
+ * Where the money of a refund went back to, one payment per settlement
+ * account. Refunds without transactions are paid out of the bank account.
+ */
+function splitRefundPayments(refund, gross, settings) {
+  const transactions = (refund.transactions || [])
+    .filter(transaction => transaction.kind === 'refund' && isSuccessful(transaction));
+  if (!transactions.length) {
+    return toPayments([{ gateway: null, amount: gross }], gross, settings);
+  }
+  return toPayments(transactions.map(transaction => ({
+    gateway: transaction.gateway,
+    amount: toOre(transaction.amount)
+  })), gross, settings);
+}
+
+function describePayment(payment) {
+  if (payment.type === 'giftCard') {
+    return 'gift card';
+  }
+  return payment.gateways.length ? payment.gateways.join(' + ') : 'bank';
+}
+
+module.exports = {
+  GIFT_CARD_GATEWAY,
+  DEFAULT_BANK_ACCOUNT,
+  DEFAULT_GIFT_CARD_ACCOUNT,
+  PAID_FINANCIAL_STATUSES,
+  normalizeGateway,
+  isFullyPaid,
+  parseGatewayAccounts,
+  paymentSettingsFromEnv,
+  accountForGateway,
+  isGiftCardTransaction,
+  getPaymentTransactions,
+  splitPayments,
+  splitCapturedPayments,
+  getLastCaptureDate,
+  splitRefundPayments,
+  describePayment
+};
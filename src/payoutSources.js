@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const pino = require('pino');
+const ShopifyAPI = require('./shopify');
+const { parseFilePatterns, findOrderFiles } = require('./orderSelection');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const DEFAULT_PAYOUT_FILE_PATTERNS = ['payout_*.json'];
+
+/*
+ * A payout source has `describe()`, an async iterator `payouts(criteria)`
+ * yielding `{ payout, transactions }` for paid payouts, and
+ * `orderNumbers(orderIds)` mapping Shopify order IDs to order numbers.
+ * `criteria` has `from`, `to` (YYYY-MM-DD, payout date) and `payoutIds`.
+ */
+
+function matchesCriteria(payout, criteria) {
+  if (criteria.payoutIds?.length && !criteria.payoutIds.includes(String(payout.id))) {
+    return false;
+  }
+  if (criteria.from && (!payout.date || payout.date < criteria.from)) {
+    return false;
+  }
+  if (criteria.to && (!payout.date || payout.date > criteria.to)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Reads exported payouts from `payout_*.json` files. A file holds either
+ * `{ "payout": {...}, "transactions": [...] }` or the payout itself with its
+ * balance transactions in `balance_transactions`.
+ */
+class BackupPayoutSource {
+  constructor(options) {
+    this.payoutsPath = options.payoutsPath;
+    this.filePatterns = options.filePatterns || DEFAULT_PAYOUT_FILE_PATTERNS;
+    this.ordersPath = options.ordersPath || null;
+    this.orderFilePatterns = options.orderFilePatterns;
+    this.orderIndex = null;
+  }
+
+  describe() {
+    return `payout export ${this.payoutsPath}`;
+  }
+
+  async *payouts(criteria = {}) {
+    if (!fs.existsSync(this.payoutsPath)) {
+      throw new Error(`Payouts directory not found: ${this.payoutsPath}`);
+    }
+
+    for (const file of findOrderFiles(this.payoutsPath, this.filePatterns)) {
+      let data;
+      try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        logger.warn({ file: path.relative(this.payoutsPath, file), error: error.message }, 'Failed to read payout file');
+        continue;
+      }
+      const payout = data.payout || data;
+      const transactions = data.transactions || payout.balance_transactions || [];
+      if (matchesCriteria(payout, criteria)) {
+        yield { payout, transactions };
+      }
+    }
+  }
+
+  /**
+   * Order numbers from the order backup folder, when there is one
+   */
+  async orderNumbers(orderIds) {
+    if (!this.orderIndex) {
+      this.orderIndex = new Map();
+      if (this.ordersPath && fs.existsSync(this.ordersPath)) {
+        for (const file of findOrderFiles(this.ordersPath, this.orderFilePatterns)) {
+          try {
+            const order = JSON.parse(fs.readFileSync(file, 'utf8'));
+            this.orderIndex.set(String(order.id), order.order_number || order.name);
+          } catch (error) {
+            logger.warn({ file, error: error.message }, 'Failed to read order file');
+          }
+        }
+      }
+    }
+    return new Map(orderIds.map(id => [String(id), this.orderIndex.get(String(id)) || null]));
+  }
+}
+
+/**
+ * Paid payouts and their balance transactions from the Shopify Payments API
+ */
+class ShopifyPayoutSource {
+  constructor(options) {
+    this.shopify = options.shopify;
+  }
+
+  describe() {
+    return `Shopify Payments API (${this.shopify.shopDomain || this.shopify.baseUrl})`;
+  }
+
+  async *payouts(criteria = {}) {
+    const params = { status: 'paid' };
+    if (criteria.from) {
+      params.date_min = criteria.from;
+    }
+    if (criteria.to) {
+      params.date_max = criteria.to;
+    }
+
+    for await (const payout of this.shopify.iteratePayouts(params)) {
+      if (!matchesCriteria(payout, criteria)) {
+        continue;
+      }
+      const transactions = [];
+      for await (const transaction of this.shopify.iterateBalanceTransactions({ payout_id: payout.id })) {
+        transactions.push(transaction);
+      }
+      yield { payout, transactions };
+    }
+  }
+
+  async orderNumbers(orderIds) {
+    const orders = orderIds.length ? await this.shopify.getOrdersByIds(orderIds, 'id,name,order_number') : [];
+    const numbers = new Map(orders.map(order => [String(order.id), order.order_number || order.name]));
+    return new Map(orderIds.map(id => [String(id), numbers.get(String(id)) || null]));
+  }
+}
+
+function payoutSourceSettingsFromEnv(env = process.env) {
+  return {
+    type: (env.PAYOUT_SOURCE || 'backup').toLowerCase(),
+    payoutsPath: env.PAYOUTS_BACKUP_PATH || '/path/to/shopify/payouts',
+    filePatterns: env.PAYOUTS_FILE_PATTERN ? parseFilePatterns(env.PAYOUTS_FILE_PATTERN) : DEFAULT_PAYOUT_FILE_PATTERNS,
+    ordersPath: env.ORDERS_BACKUP_PATH || null,
+    orderFilePatterns: parseFilePatterns(env.ORDERS_FILE_PATTERN),
+    shop: env.SHOPIFY_SHOP || null,
+    accessToken: env.SHOPIFY_ACCESS_TOKEN || null,
+    apiVersion: env.SHOPIFY_API_VERSION || undefined,
+    baseUrl: env.SHOPIFY_API_BASE_URL || undefined
+  };
+}
+
+function createPayoutSource(settings) {
+  if (settings.type === 'backup') {
+    return new BackupPayoutSource(settings);
+  }
+  if (settings.type === 'shopify') {
+    if (!settings.accessToken || !(settings.shop || settings.baseUrl)) {
+      throw new Error('The shopify payout source needs SHOPIFY_SHOP (or SHOPIFY_API_BASE_URL) and SHOPIFY_ACCESS_TOKEN');
+    }
+    const shopify = settings.shopify || new ShopifyAPI(settings.shop, settings.accessToken, {
+      apiVersion: settings.apiVersion,
+      baseUrl: settings.baseUrl
+    });
+    return new ShopifyPayoutSource({ shopify });
+  }
+  throw new Error(`Unknown payout source "${settings.type}" (expected backup or shopify)`);
+}
+
+module.exports = {
+  DEFAULT_PAYOUT_FILE_PATTERNS,
+  BackupPayoutSource,
+  ShopifyPayoutSource,
+  payoutSourceSettingsFromEnv,
+  createPayoutSource
+};
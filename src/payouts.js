@@ -0,0 +1,128 @@
+const { toOre } = require('./amounts');
+const { paymentSettingsFromEnv, accountForGateway } = require('./payments');
+const { SHOPIFY_PAYMENTS_GATEWAY, feeSettingsFromEnv } = require('./fees');
+
+/**
+ * Accounts used when a Shopify Payments payout is booked. The clearing
+ * account is where imported sales put Shopify Payments money
+ * (PAYMENT_GATEWAY_ACCOUNTS), the bank account where the payout lands.
+ */
+function payoutSettingsFromEnv(env = process.env) {
+  const paymentSettings = paymentSettingsFromEnv(env);
+  return {
+    clearingAccount: env.PAYOUT_CLEARING_ACCOUNT_CODE || accountForGateway(SHOPIFY_PAYMENTS_GATEWAY, paymentSettings),
+    bankAccount: env.PAYOUT_BANK_ACCOUNT_CODE || paymentSettings.bankAccount,
+    feeAccount: feeSettingsFromEnv(env).account,
+    chargebackAccount: env.PAYOUT_CHARGEBACK_ACCOUNT_CODE || '7830',
+    adjustmentAccount: env.PAYOUT_ADJUSTMENT_ACCOUNT_CODE || '7790',
+    includeChargeFees: env.PAYOUT_INCLUDE_CHARGE_FEES === 'true'
+  };
+}
+
+/**
+ * Sum the balance transactions of a payout by kind (amounts in øre).
+ * `sales` is charges plus refunds; fees on charges are kept apart because
+ * the sale import already books them.
+ */
+function summarizePayout(payout, transactions) {
+  const summary = {
+    sales: 0,
+    chargeFees: 0,
+    otherFees: 0,
+    chargebacks: 0,
+    adjustments: 0,
+    counts: {},
+    orderIds: []
+  };
+
+  for (const transaction of transactions) {
+    // Selve utbetalingen er motposten, ikke en del av innholdet
+    if (transaction.type === 'payout') {
+      continue;
+    }
+    const amount = toOre(transaction.amount);
+    const fee = toOre(transaction.fee);
+    summary.counts[transaction.type] = (summary.counts[transaction.type] || 0) + 1;
+    if (transaction.source_order_id && !summary.orderIds.includes(String(transaction.source_order_id))) {
+      summary.orderIds.push(String(transaction.source_order_id));
+    }
+
+    if (transaction.type === 'charge') {
+      summary.sales += amount;
+      summary.chargeFees += fee;
+    } else if (transaction.type === 'refund') {
+      summary.sales += amount;
+      summary.otherFees += fee;
+    } else if (transaction.type === 'dispute') {
+      summary.chargebacks += amount;
+      summary.otherFees += fee;
+    } else {
+      summary.adjustments += amount;
+      summary.otherFees += fee;
+    }
+  }
+
+  summary.net = summary.sales - summary.chargeFees - summary.otherFees + summary.chargebacks + summary.adjustments;
+  summary.payoutAmount = toOre(payout.amount);
+  return summary;
+}
+
+/**
+ * Journal entry line moving `amount` from the clearing account to `account`
+ * (or back when negative), or null for zero
+ */
+function transferLine(description, account, amount, settings) {
+  if (!amount) {
+    return null;
+  }
+  return amount > 0
+    ? { description, amount, debitAccount: account, creditAccount: settings.clearingAccount }
+    : { description, amount: -amount, debitAccount: settings.clearingAccount, creditAccount: account };
+}
+
+/**
+ * General journal entry for a paid Shopify Payments payout: the payout from
+ * the clearing account to the bank, fees to the fee account, chargebacks
+ * and adjustments to their own accounts. Charge fees are only included with
+ * `includeChargeFees`, for sales that were booked without the fee.
+ */
+function buildPayoutEntry(payout, transactions, settings) {
+  if (payout.currency && payout.currency !== 'NOK') {
+    throw new Error(`Payout ${payout.id} is in ${payout.currency}, only NOK payouts can be booked`);
+  }
+  if (settings.clearingAccount === settings.bankAccount) {
+    throw new Error(`Clearing and bank account are both ${settings.bankAccount}; map shopify_payments to a clearing account in PAYMENT_GATEWAY_ACCOUNTS or set PAYOUT_CLEARING_ACCOUNT_CODE`);
+  }
+
+  const summary = summarizePayout(payout, transactions);
+  if (summary.net !== summary.payoutAmount) {
+    throw new Error(`Payout ${payout.id} does not add up: transactions net ${(summary.net / 100).toFixed(2)} NOK, payout ${(summary.payoutAmount / 100).toFixed(2)} NOK`);
+  }
+
+  const fees = summary.otherFees + (settings.includeChargeFees ? summary.chargeFees : 0);
+  const lines = [
+    transferLine('Utbetaling fra Shopify Payments', settings.bankAccount, summary.payoutAmount, settings),
+    transferLine('Gebyrer Shopify Payments', settings.feeAccount, fees, settings),
+    transferLine('Tilbakeføringer (chargebacks)', settings.chargebackAccount, -summary.chargebacks, settings),
+    transferLine('Justeringer Shopify Payments', settings.adjustmentAccount, -summary.adjustments, settings)
+  ].filter(Boolean);
+
+  const description = `Shopify Payments utbetaling ${payout.id}`;
+  return {
+    summary: { ...summary, fees },
+    payload: {
+      description,
+      journalEntries: [{
+        description,
+        date: payout.date,
+        lines
+      }]
+    }
+  };
+}
+
+module.exports = {
+  payoutSettingsFromEnv,
+  summarizePayout,
+  buildPayoutEntry
+};
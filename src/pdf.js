@@ -0,0 +1,142 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Render a PDF into a Buffer. `draw` receives the PDFKit document.
+ */
+function renderPdf(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    draw(doc);
+    doc.end();
+  });
+}
+
+function formatOre(amount) {
+  return (amount / 100).toFixed(2);
+}
+
+/**
+ * Shipping method and shipments of an order as text lines, the
+ * documentation that goods were sent out of the country. Tracking numbers
+ * come from `fulfillments`; cancelled fulfillments are left out.
+ */
+function describeShipments(order) {
+  const lines = (order.shipping_lines || [])
+    .map(line => `Shipping method: ${[line.title, line.carrier_identifier || line.source].filter(Boolean).join(', ') || 'n/a'}`);
+  const fulfillments = (order.fulfillments || []).filter(fulfillment => !['cancelled', 'error', 'failure'].includes(fulfillment.status));
+  fulfillments.forEach(fulfillment => {
+    const numbers = fulfillment.tracking_numbers?.length ? fulfillment.tracking_numbers : [fulfillment.tracking_number].filter(Boolean);
+    const date = (fulfillment.created_at || '').split('T')[0];
+    lines.push(`Shipped ${date || 'n/a'} with ${fulfillment.tracking_company || 'unknown carrier'}: ${numbers.length ? numbers.join(', ') : 'no tracking number'}`);
+  });
+  if (!fulfillments.length) {
+    lines.push('Not fulfilled yet, no tracking number');
+  }
+  return lines;
+}
+
+/**
+ * PDF attachment for a refund credit sale
+ */
+function generateRefundPdf(order, refund, context) {
+  return renderPdf(doc => {
+    const orderNumber = order.order_number || order.name || order.id;
+
+    doc.fontSize(18).text(`Shopify Refund for Order #${orderNumber}`, { underline: true });
+    doc.moveDown();
+
+    doc.fontSize(12);
+    doc.text(`Refund ID: ${refund.id}`);
+    doc.text(`Refund Date: ${refund.processed_at || refund.created_at || context.saleDate}`);
+    doc.text(`Credit sale: ${context.saleNumber}`);
+    doc.text(`Original sale: ${context.originalSaleNumber}`);
+    if (refund.note) {
+      doc.text(`Note: ${refund.note}`);
+    }
+    doc.moveDown();
+
+    doc.text('Refunded Items');
+    (refund.refund_line_items || []).forEach(item => {
+      const title = item.line_item?.title || 'Item';
+      const restock = item.restock_type ? ` (${item.restock_type})` : '';
+      doc.text(`• ${item.quantity || 1} × ${title}${restock}: ${item.subtotal || '0.00'} ${order.currency || 'NOK'}`);
+    });
+    doc.moveDown();
+
+    doc.text('Credited Lines');
+    context.lines.forEach(line => {
+      doc.text(`• ${line.description} [${line.vatType}]: net ${formatOre(line.netAmount)} NOK, VAT ${formatOre(line.vatAmount)} NOK`);
+    });
+    doc.moveDown();
+
+    doc.text('Totals');
+    doc.text(`Net amount: ${formatOre(context.totals.net)} NOK`);
+    doc.text(`VAT amount: ${formatOre(context.totals.vat)} NOK`);
+    doc.text(`Refunded to customer: ${formatOre(context.totals.gross)} NOK`);
+    if (order.exchange) {
+      doc.text(`Original currency: ${order.exchange.currency}, exchange rate ${order.exchange.rate} (${order.exchange.source})`);
+    }
+
+    doc.moveDown();
+    doc.text('Refund Transactions');
+    (refund.transactions || []).forEach(transaction => {
+      doc.text(`• ${transaction.gateway || 'unknown'} ${transaction.kind || ''} ${transaction.status || ''}: ${transaction.amount || '0.00'} ${transaction.currency || order.currency || 'NOK'}`);
+    });
+  });
+}
+
+/**
+ * PDF attachment for a Shopify Payments payout journal entry
+ */
+function generatePayoutPdf(payout, transactions, context) {
+  return renderPdf(doc => {
+    doc.fontSize(18).text(`Shopify Payments Payout ${payout.id}`, { underline: true });
+    doc.moveDown();
+
+    doc.fontSize(12);
+    doc.text(`Payout Date: ${payout.date || 'n/a'}`);
+    doc.text(`Status: ${payout.status || 'n/a'}`);
+    doc.text(`Amount: ${payout.amount} ${payout.currency || 'NOK'}`);
+    doc.moveDown();
+
+    doc.text('Summary');
+    doc.text(`Sales and refunds: ${formatOre(context.summary.sales)} NOK`);
+    doc.text(`Fees on sales: ${formatOre(context.summary.chargeFees)} NOK${context.settings.includeChargeFees ? '' : ' (booked with the sales)'}`);
+    doc.text(`Other fees: ${formatOre(context.summary.otherFees)} NOK`);
+    doc.text(`Chargebacks: ${formatOre(context.summary.chargebacks)} NOK`);
+    doc.text(`Adjustments: ${formatOre(context.summary.adjustments)} NOK`);
+    doc.text(`Paid out: ${formatOre(context.summary.payoutAmount)} NOK`);
+    doc.moveDown();
+
+    doc.text('Journal Entry Lines');
+    context.lines.forEach(line => {
+      doc.text(`• ${line.description}: debit ${line.debitAccount}, credit ${line.creditAccount}, ${formatOre(line.amount)} NOK`);
+    });
+    doc.moveDown();
+
+    doc.text(`Included Orders (${context.orders.length})`);
+    doc.text(context.orders.length ? context.orders.join(', ') : 'none');
+    doc.moveDown();
+
+    doc.text('Balance Transactions');
+    doc.fontSize(9);
+    transactions.forEach(transaction => {
+      const order = transaction.source_order_id ? ` order ${context.orderNumbers.get(String(transaction.source_order_id)) || transaction.source_order_id}` : '';
+      doc.text(`• ${transaction.processed_at?.split('T')[0] || ''} ${transaction.type}${order}: amount ${transaction.amount}, fee ${transaction.fee || '0.00'}, net ${transaction.net}`);
+    });
+  });
+}
+
+module.exports = {
+  renderPdf,
+  formatOre,
+  describeShipments,
+  generateRefundPdf,
+  generatePayoutPdf
+};
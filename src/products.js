@@ -0,0 +1,146 @@
+const pino = require('pino');
+const { toOre } = require('./amounts');
+const { isDomestic, readTaxLines, lookupVatType, splitAmount } = require('./vat');
+const { resolveAccount, lineItemContext } = require('./accountRules');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+function productSettingsFromEnv(env = process.env) {
+  return {
+    // Oppretter produkter i kundens Fiken-selskap, så det må slås på
+    enabled: env.PRODUCT_SYNC === 'true'
+  };
+}
+
+/**
+ * SKUs are compared without surrounding spaces and case
+ */
+function normalizeSku(sku) {
+  return String(sku || '').trim().toUpperCase();
+}
+
+/**
+ * VAT type a product gets in Fiken. Foreign orders do not tell the
+ * Norwegian rate, so their products get the default rate.
+ */
+function productVat(item, order, vatSettings) {
+  if (item.taxable === false) {
+    return { vatType: lookupVatType(0, vatSettings.vatTypes), rate: 0 };
+  }
+  const taxes = isDomestic(order, vatSettings.homeCountry) ? readTaxLines(item) : null;
+  const rate = taxes ? taxes.rate : vatSettings.defaultRate;
+  return { vatType: lookupVatType(rate, vatSettings.vatTypes), rate };
+}
+
+/**
+ * Fiken product for a Shopify line item (variant), with the SKU as
+ * product number and the net unit price. The income account is the
+ * domestic one even when the product is first seen on an export.
+ */
+function buildProductPayload(item, order, settings) {
+  const vat = productVat(item, order, settings.vatSettings);
+  const unitPrice = splitAmount(toOre(item.price), { ...vat, taxAmount: null }, order.taxes_included !== false).net;
+  return {
+    name: item.name || item.title || String(item.sku).trim(),
+    productNumber: String(item.sku).trim(),
+    unitPrice,
+    incomeAccount: resolveAccount(settings.accountRules, lineItemContext(item, order), settings.salesAccount).account,
+    vatType: vat.vatType,
+    active: true
+  };
+}
+
+/**
+ * Fiken products indexed by product number (= Shopify SKU). Missing
+ * products are created when an order is synced, so sale lines can link
+ * to them.
+ */
+class ProductCatalog {
+  constructor(options) {
+    this.fiken = options.fiken;
+    this.companySlug = options.companySlug;
+    this.dryRun = Boolean(options.dryRun);
+    this.bySku = null;
+    this.loading = null;
+  }
+
+  async load() {
+    if (this.bySku) {
+      return this;
+    }
+    if (!this.loading) {
+      this.loading = (async () => {
+        const bySku = new Map();
+        for await (const product of this.fiken.iterateProducts(this.companySlug)) {
+          const key = normalizeSku(product.productNumber);
+          if (key && !bySku.has(key)) {
+            bySku.set(key, product);
+          }
+        }
+        this.bySku = bySku;
+        logger.info({ count: bySku.size }, 'Loaded Fiken products');
+      })();
+    }
+    await this.loading;
+    return this;
+  }
+
+  get size() {
+    return this.bySku ? this.bySku.size : 0;
+  }
+
+  add(product) {
+    const key = normalizeSku(product.productNumber);
+    if (key && this.bySku && !this.bySku.has(key)) {
+      this.bySku.set(key, product);
+    }
+  }
+
+  find(sku) {
+    const key = normalizeSku(sku);
+    return key && this.bySku ? this.bySku.get(key) || null : null;
+  }
+
+  /**
+   * Fiken product ID for a line item, or null (no SKU, not synced)
+   */
+  productIdFor(item) {
+    const productId = this.find(item.sku)?.productId;
+    return productId ? Number(productId) : null;
+  }
+
+  /**
+   * Create Fiken products for the SKUs of an order that have none yet.
+   * Gift cards are not products. Returns the created (or, in dry-run, the
+   * would-be) products.
+   */
+  async syncOrder(order, settings) {
+    await this.load();
+    const created = [];
+    for (const item of order.line_items || []) {
+      if (item.gift_card || !normalizeSku(item.sku) || this.find(item.sku)) {
+        continue;
+      }
+      const payload = buildProductPayload(item, order, settings);
+      if (this.dryRun) {
+        // Holdes i indeksen uten ID, så samme SKU bare meldes én gang
+        this.add(payload);
+        created.push(payload);
+        continue;
+      }
+      const result = await this.fiken.createProduct(this.companySlug, payload);
+      const product = { ...payload, ...result };
+      this.add(product);
+      created.push(product);
+    }
+    return created;
+  }
+}
+
+module.exports = {
+  productSettingsFromEnv,
+  normalizeSku,
+  productVat,
+  buildProductPayload,
+  ProductCatalog
+};
@@ -0,0 +1,149 @@
+const { toOre } = require('./amounts');
+const { buildSaleLines, calculateTotals, applyRounding, getSaleNumber } = require('./saleLines');
+const RefundProcessor = require('./refunds');
+const { DEFAULT_FINANCIAL_STATUSES } = require('./orderSelection');
+
+const { getRefundedAmount, getRefundSaleNumber } = RefundProcessor;
+
+// Samme toleranse som importen varsler på
+const AMOUNT_TOLERANCE = 2;
+
+const FINDINGS = ['missing', 'no-shopify-order', 'amount-mismatch', 'unsettled', 'no-attachment'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * The Fiken sales the import gives an order (converted to NOK): the sale
+ * and one credit sale per refund with money, plus the cancellation credit
+ * for cancelled orders. Gross amounts are in øre, negative for credits.
+ * Orders are imported when their financial status is in
+ * `financialStatuses`. Sales of cancelled orders are `optional` whatever
+ * their status: the import only reverses what was booked, and the
+ * cancellation credit only exists when refunds did not already credit the
+ * whole sale.
+ */
+function expectedSales(order, lineSettings, financialStatuses = DEFAULT_FINANCIAL_STATUSES) {
+  if (!financialStatuses.includes(order.financial_status) && !order.cancelled_at) {
+    return [];
+  }
+  const base = { orderId: order.id, orderNumber: order.order_number, optional: Boolean(order.cancelled_at) };
+  const expected = [];
+
+  const built = buildSaleLines(order, lineSettings);
+  if (built.length) {
+    const shopifyGross = toOre(order.total_price || order.current_total_price || (calculateTotals(built).gross / 100));
+    const { lines } = applyRounding(built, shopifyGross, lineSettings);
+    expected.push({ ...base, type: 'sale', saleNumber: getSaleNumber(order, lineSettings), gross: calculateTotals(lines).gross });
+  }
+
+  const refunds = new RefundProcessor({ lineSettings });
+  for (const refund of order.refunds || []) {
+    if (getRefundedAmount(refund) === 0) {
+      continue;
+    }
+    const { gross } = calculateTotals(refunds.buildRefundLines(order, refund));
+    if (gross > 0) {
+      expected.push({ ...base, type: 'refund', refundId: refund.id, saleNumber: getRefundSaleNumber(order, refund, lineSettings), gross: -gross });
+    }
+  }
+
+  if (order.cancelled_at) {
+    expected.push({ ...base, type: 'cancellation', saleNumber: `${getSaleNumber(order, lineSettings)}-C`, gross: null });
+  }
+  return expected;
+}
+
+/**
+ * Order number in a sale number written by the import (`<prefix>1001`,
+ * `<prefix>1001-R<refund id>`, `<prefix>1001-C`), or null
+ */
+function parseSaleNumber(saleNumber, prefix = '#') {
+  const match = new RegExp(`^${escapeRegExp(prefix)}(\\d+)(?:-R\\d+|-C)?$`).exec(saleNumber || '');
+  return match ? match[1] : null;
+}
+
+function saleGross(sale) {
+  return (sale.netAmount || 0) + (sale.vatAmount || 0);
+}
+
+/**
+ * Problems with a Fiken sale compared to what Shopify says it should be
+ */
+function checkSale(sale, expected) {
+  const findings = [];
+  if (expected && expected.gross !== null && Math.abs(saleGross(sale) - expected.gross) > AMOUNT_TOLERANCE) {
+    findings.push('amount-mismatch');
+  }
+  if (sale.settled === false) {
+    findings.push('unsettled');
+  }
+  if (!(sale.saleAttachments || []).length) {
+    findings.push('no-attachment');
+  }
+  return findings;
+}
+
+/**
+ * Match expected sales with Fiken sales by `saleNumber`. Returns one result
+ * per expected sale and per Fiken sale, each with its `findings` (empty
+ * when everything agrees). Deleted Fiken sales are ignored; optional
+ * expected sales that are not in Fiken are not reported.
+ */
+function reconcileSales(expected, sales) {
+  const byNumber = new Map();
+  for (const sale of sales) {
+    if (!sale.deleted && sale.saleNumber) {
+      byNumber.set(sale.saleNumber, sale);
+    }
+  }
+
+  const results = [];
+  const matched = new Set();
+  for (const entry of expected) {
+    const sale = byNumber.get(entry.saleNumber);
+    if (!sale) {
+      if (!entry.optional) {
+        results.push({ ...entry, sale: null, findings: ['missing'] });
+      }
+      continue;
+    }
+    matched.add(entry.saleNumber);
+    results.push({ ...entry, sale, findings: checkSale(sale, entry) });
+  }
+
+  for (const [saleNumber, sale] of byNumber) {
+    if (!matched.has(saleNumber)) {
+      results.push({ type: 'sale', orderId: null, orderNumber: null, saleNumber, gross: null, sale, findings: ['no-shopify-order', ...checkSale(sale, null)] });
+    }
+  }
+  return results;
+}
+
+/**
+ * Number of results per finding
+ */
+function summarizeFindings(results) {
+  const summary = Object.fromEntries(FINDINGS.map(finding => [finding, 0]));
+  summary.ok = 0;
+  for (const result of results) {
+    result.findings.forEach(finding => {
+      summary[finding] += 1;
+    });
+    if (!result.findings.length) {
+      summary.ok += 1;
+    }
+  }
+  return summary;
+}
+
+module.exports = {
+  AMOUNT_TOLERANCE,
+  FINDINGS,
+  expectedSales,
+  parseSaleNumber,
+  saleGross,
+  reconcileSales,
+  summarizeFindings
+};
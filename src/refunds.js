@@ -0,0 +1,278 @@
+const pino = require('pino');
+const { toNumber, toOre } = require('./amounts');
+const { resolveLineVat, splitAmount } = require('./vat');
+const {
+  quantityLines,
+  lineItemDetails,
+  giftCardLine,
+  buildGoodsLines,
+  splitByGoods,
+  negateLine,
+  calculateTotals,
+  getSaleNumber
+} = require('./saleLines');
+const { generateRefundPdf } = require('./pdf');
+const { splitRefundPayments } = require('./payments');
+const { goodsAccount, shippingAccount } = require('./accountRules');
+const { createCurrencyConverter, convertOrderToNok, annotateLines } = require('./currency');
+const { CreditLedger } = require('./ledger');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+function isSuccessfulRefund(transaction) {
+  return transaction.kind === 'refund' && (!transaction.status || transaction.status === 'success');
+}
+
+/**
+ * Money actually paid back to the customer for a refund, in øre. Returns
+ * null when the refund carries no transaction data at all.
+ */
+function getRefundedAmount(refund) {
+  if (!Array.isArray(refund.transactions)) {
+    return null;
+  }
+  return refund.transactions
+    .filter(isSuccessfulRefund)
+    .reduce((sum, transaction) => sum + toOre(transaction.amount), 0);
+}
+
+/**
+ * Refunded shipping in øre. `subtotal_amount` and `total_tax_amount` are
+ * the NOK amounts convertOrderToNok derives from the `*_set` fields.
+ */
+function getShippingRefundAmount(refund, taxesIncluded) {
+  const fromShippingLines = (refund.refund_shipping_lines || []).reduce((sum, line) => {
+    const subtotal = toOre(line.subtotal_amount ?? line.subtotal_amount_set?.shop_money?.amount);
+    const tax = toOre(line.total_tax_amount ?? line.total_tax_amount_set?.shop_money?.amount);
+    return sum + subtotal + (taxesIncluded ? 0 : tax);
+  }, 0);
+  if (fromShippingLines > 0) {
+    return fromShippingLines;
+  }
+
+  // Eldre API-versjoner legger fraktrefusjon som order adjustment
+  return (refund.order_adjustments || [])
+    .filter(adjustment => adjustment.kind === 'shipping_refund')
+    .reduce((sum, adjustment) => sum + Math.abs(toOre(adjustment.amount)) + Math.abs(toOre(adjustment.tax_amount)), 0);
+}
+
+function getRefundSaleNumber(order, refund, settings) {
+  return `${getSaleNumber(order, settings)}-R${refund.id}`;
+}
+
+/**
+ * Turns Shopify refunds into negative external sales in Fiken, credited
+ * against the original `#<order_number>` sale and paid back to the accounts
+ * of the gateways the refund went through. Every step of a credit sale is
+ * recorded in `options.credits` (a CreditLedger), so an interrupted refund
+ * is finished on the next run. `credits` is required with `fiken`; without
+ * either the processor only builds refund lines.
+ */
+class RefundProcessor {
+  constructor(options) {
+    if (options.fiken && !options.credits) {
+      throw new Error('RefundProcessor needs a CreditLedger (options.credits) to book refunds');
+    }
+    this.fiken = options.fiken;
+    this.companySlug = options.companySlug;
+    this.lineSettings = options.lineSettings;
+    this.paymentSettings = options.paymentSettings;
+    this.shopify = options.shopify || null;
+    this.rateTable = options.rateTable || {};
+    this.credits = options.credits || null;
+    this.dryRun = Boolean(options.dryRun);
+  }
+
+  /**
+   * Sale lines (positive amounts) describing what a refund gives back.
+   * The order and refund must already be converted to NOK.
+   */
+  buildRefundLines(order, refund) {
+    const settings = this.lineSettings;
+    const taxesIncluded = order.taxes_included !== false;
+    const lines = [];
+
+    for (const refundItem of refund.refund_line_items || []) {
+      const orderItem = (order.line_items || []).find(lineItem => lineItem.id === refundItem.line_item_id);
+      const item = refundItem.line_item || orderItem || {};
+      const vat = resolveLineVat(item, order, settings.vatSettings);
+      const subtotal = toOre(refundItem.subtotal ?? refundItem.subtotal_set?.shop_money?.amount);
+      const tax = toOre(refundItem.total_tax ?? refundItem.total_tax_set?.shop_money?.amount);
+      if (item.gift_card) {
+        if (subtotal !== 0) {
+          lines.push(giftCardLine({ ...item, title: `Kreditering: ${item.title || 'Gavekort'}` }, subtotal, settings));
+        }
+        continue;
+      }
+      const amounts = splitAmount(subtotal, { ...vat, taxAmount: tax }, taxesIncluded);
+      if (amounts.net + amounts.vat === 0) {
+        continue;
+      }
+      // line_item på refusjonen mangler av og til SKU, ordrelinjen har den
+      const details = lineItemDetails(item.sku ? item : orderItem || item, toNumber(refundItem.quantity) || 1, settings);
+      // Krediteres mot samme konto som salget; produkttype og tagger ligger på ordrelinjen
+      const { account } = goodsAccount(orderItem || item, order, settings);
+      lines.push(...quantityLines(`Kreditering: ${item.title || 'Shopify product'}`, account, vat.vatType, amounts.net, amounts.vat, details));
+    }
+
+    const goodsBuckets = this.getGoodsBuckets(order);
+    const shippingAmount = getShippingRefundAmount(refund, taxesIncluded);
+    if (shippingAmount > 0) {
+      lines.push(...splitByGoods(shippingAmount, goodsBuckets, 'Kreditering frakt', shippingAccount(order, settings).account));
+    }
+
+    // Beløp refundert utover varer og frakt (goodwill, avvik) fordeles som varene
+    const refunded = getRefundedAmount(refund);
+    const difference = refunded === null ? 0 : refunded - calculateTotals(lines).gross;
+    if (difference !== 0) {
+      const adjustment = splitByGoods(Math.abs(difference), goodsBuckets, 'Refusjonsavvik', settings.salesAccount);
+      lines.push(...(difference < 0 ? adjustment.map(negateLine) : adjustment));
+    }
+
+    return annotateLines(lines, order.exchange);
+  }
+
+  getGoodsBuckets(order) {
+    const { goodsBuckets } = buildGoodsLines(order, this.lineSettings);
+    if (goodsBuckets.length) {
+      return goodsBuckets;
+    }
+    const vat = resolveLineVat({}, order, this.lineSettings.vatSettings);
+    return [{ vatType: vat.vatType, rate: vat.rate, gross: 1 }];
+  }
+
+  /**
+   * Book one refund. Returns an outcome with `status` set to created,
+   * resumed (the credit sale existed but was not fully paid back),
+   * skipped-existing, skipped-empty or dry-run.
+   */
+  async processRefund(order, refund) {
+    const saleNumber = getRefundSaleNumber(order, refund, this.lineSettings);
+    const originalSaleNumber = getSaleNumber(order, this.lineSettings);
+
+    if (getRefundedAmount(refund) === 0) {
+      logger.info({ saleNumber, refundId: refund.id }, 'Refund has no refunded money, skipping');
+      return { status: 'skipped-empty', saleNumber };
+    }
+
+    const lines = this.buildRefundLines(order, refund);
+    const totals = calculateTotals(lines);
+    if (totals.gross <= 0) {
+      return { status: 'skipped-empty', saleNumber };
+    }
+
+    const date = (refund.processed_at || refund.created_at || new Date().toISOString()).split('T')[0];
+    const salePayload = {
+      kind: 'external_invoice',
+      saleNumber,
+      date,
+      currency: 'NOK',
+      lines: lines.map(negateLine)
+    };
+
+    if (this.dryRun) {
+      return { status: 'dry-run', saleNumber, date, salePayload, totals, lines };
+    }
+
+    const entry = this.credits.get(saleNumber);
+    if (entry && this.credits.isCompleted(saleNumber)) {
+      return { status: 'skipped-existing', saleNumber, saleId: entry.saleId, date, totals, lines };
+    }
+
+    let saleId = entry?.saleId;
+    let status = 'resumed';
+    let adopted = false;
+    if (!saleId) {
+      const existing = await this.fiken.findSaleByNumber(this.companySlug, saleNumber);
+      if (existing) {
+        saleId = existing.saleId;
+        this.credits.adoptSale(order, saleNumber, await this.fiken.getSale(this.companySlug, saleId));
+        adopted = true;
+      } else {
+        const original = await this.fiken.findSaleByNumber(this.companySlug, originalSaleNumber);
+        if (!original) {
+          throw new Error(`Original sale ${originalSaleNumber} not found in Fiken, cannot credit refund ${refund.id}`);
+        }
+        salePayload.customerId = original.customer?.contactId || original.customerId;
+        const sale = await this.fiken.createSale(this.companySlug, salePayload);
+        saleId = sale.saleId;
+        this.credits.recordSale(order, saleNumber, saleId);
+        status = 'created';
+      }
+    }
+
+    const steps = await this.completeRefund(order, refund, saleId, { saleNumber, originalSaleNumber, date, lines, totals });
+    this.credits.markCompleted(saleNumber);
+    // En kreditering som allerede var ferdig i Fiken regnes ikke som bokført i denne kjøringen
+    if (adopted && steps === 0) {
+      return { status: 'skipped-existing', saleNumber, saleId, date, totals, lines };
+    }
+
+    logger.info({ saleNumber, saleId, originalSaleNumber, gross: totals.gross, status }, 'Booked Shopify refund in Fiken');
+    return { status, saleNumber, saleId, date, totals, lines };
+  }
+
+  /**
+   * Pay back and attach the PDF to a refund credit sale, skipping every
+   * step the credit ledger already has. Returns the number of steps done.
+   */
+  async completeRefund(order, refund, saleId, context) {
+    const { saleNumber, date, totals } = context;
+    let done = 0;
+
+    // Pengene går tilbake samme vei som refusjonstransaksjonene (gavekort, Vipps, ...)
+    for (const payment of splitRefundPayments(refund, totals.gross, this.paymentSettings)) {
+      const step = CreditLedger.paymentStep(payment.account);
+      if (this.credits.hasStep(saleNumber, step)) {
+        continue;
+      }
+      const created = await this.fiken.addSalePayment(this.companySlug, saleId, {
+        date,
+        account: payment.account,
+        amount: -payment.amount
+      });
+      this.credits.recordStep(saleNumber, step, {
+        paymentId: created.paymentId,
+        amount: -payment.amount,
+        account: payment.account
+      });
+      done += 1;
+    }
+
+    if (!this.credits.hasStep(saleNumber, 'attachment')) {
+      const filename = `shopify-refund-${order.order_number || order.id}-${refund.id}.pdf`;
+      try {
+        const pdfBuffer = await generateRefundPdf(order, refund, { ...context, saleDate: date });
+        await this.fiken.attachFileToSale(this.companySlug, saleId, pdfBuffer, {
+          filename,
+          description: `Shopify refund ${refund.id} for order #${order.order_number || order.id}`
+        });
+        this.credits.recordStep(saleNumber, 'attachment', { filename });
+        done += 1;
+      } catch (error) {
+        logger.error({ error: error.message, saleNumber }, 'Failed to attach refund PDF');
+      }
+    }
+    return done;
+  }
+
+  /**
+   * Handle a refunds/create webhook payload. The order is fetched from
+   * Shopify since the payload only carries the refund. Both are converted
+   * to NOK before booking.
+   */
+  async processRefundWebhook(refund) {
+    if (!this.shopify) {
+      throw new Error('Shopify API is not configured, cannot load order for refund');
+    }
+    const shopifyOrder = await this.shopify.getOrder(refund.order_id);
+    const order = convertOrderToNok(shopifyOrder, { rateTable: this.rateTable });
+    const nokRefund = (order.refunds || []).find(entry => String(entry.id) === String(refund.id))
+      || createCurrencyConverter(shopifyOrder, { rateTable: this.rateTable }).convert(refund);
+    return this.processRefund(order, nokRefund);
+  }
+}
+
+module.exports = RefundProcessor;
+module.exports.getRefundedAmount = getRefundedAmount;
+module.exports.getRefundSaleNumber = getRefundSaleNumber;
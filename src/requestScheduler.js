@@ -0,0 +1,211 @@
+const axios = require('axios');
+const pino = require('pino');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']);
+const TRANSIENT_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN']);
+
+const DEFAULT_SETTINGS = {
+  requestsPerSecond: 4,
+  concurrency: 1,
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  timeoutMs: 60000
+};
+
+function schedulerSettingsFromEnv(env = process.env) {
+  const number = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+  };
+  return {
+    requestsPerSecond: number(env.FIKEN_REQUESTS_PER_SECOND, DEFAULT_SETTINGS.requestsPerSecond),
+    concurrency: Math.max(1, Math.floor(number(env.FIKEN_MAX_CONCURRENCY, DEFAULT_SETTINGS.concurrency))),
+    maxRetries: Math.floor(number(env.FIKEN_MAX_RETRIES, DEFAULT_SETTINGS.maxRetries)),
+    baseDelayMs: number(env.FIKEN_RETRY_BASE_DELAY_MS, DEFAULT_SETTINGS.baseDelayMs),
+    maxDelayMs: number(env.FIKEN_RETRY_MAX_DELAY_MS, DEFAULT_SETTINGS.maxDelayMs),
+    timeoutMs: number(env.FIKEN_REQUEST_TIMEOUT_MS, DEFAULT_SETTINGS.timeoutMs)
+  };
+}
+
+/**
+ * Delay in milliseconds from a Retry-After header (seconds or HTTP date)
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function isTransientError(error) {
+  if (error.response) {
+    return TRANSIENT_STATUSES.has(error.response.status);
+  }
+  return TRANSIENT_CODES.has(error.code);
+}
+
+/**
+ * Whether a request may be sent again after a 5xx or network error.
+ * Idempotent methods may; POST and PATCH only when the caller sets
+ * `retrySafe: true` on the request config.
+ */
+function isRetrySafe(config = {}) {
+  if (typeof config.retrySafe === 'boolean') {
+    return config.retrySafe;
+  }
+  return IDEMPOTENT_METHODS.has(String(config.method || 'GET').toUpperCase());
+}
+
+/**
+ * Whether the request body can be sent again. A stream (form-data, file)
+ * is used up by the first attempt, so a retry would send an empty body.
+ */
+function isReplayable(config = {}) {
+  return !(config.data && typeof config.data.pipe === 'function');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Queues requests so no more than `requestsPerSecond` are started and no more
+ * than `concurrency` are in flight, and retries transient failures with
+ * exponential backoff and jitter. A Retry-After from the server pauses the
+ * whole queue, not only the request that got it.
+ */
+class RequestScheduler {
+  constructor(settings = {}) {
+    this.settings = { ...DEFAULT_SETTINGS, ...settings };
+    this.random = settings.random || Math.random;
+    this.queue = [];
+    this.active = 0;
+    this.nextStartAt = 0;
+    this.pausedUntil = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Run `task` in the queue. Rate limited requests are retried unless
+   * `replayable` is false, other transient errors only when `retrySafe`.
+   */
+  async execute(task, options = {}) {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        return await this.schedule(task);
+      } catch (error) {
+        // 429 avvises før Fiken gjør noe, så det er trygt å sende på nytt uansett metode
+        const rateLimited = error.response?.status === 429;
+        const retryable = isTransientError(error) && options.replayable !== false && (rateLimited || options.retrySafe);
+        if (!retryable || attempt >= this.settings.maxRetries) {
+          throw error;
+        }
+
+        const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+        const delay = retryAfter !== null ? retryAfter : this.backoff(attempt);
+        if (retryAfter !== null) {
+          this.pause(retryAfter);
+        }
+        logger.warn({
+          label: options.label,
+          status: error.response?.status,
+          code: error.code,
+          attempt: attempt + 1,
+          delayMs: Math.round(delay)
+        }, `Transient ${this.settings.service || 'API'} error, retrying`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Hold back new requests for `ms`, e.g. when the server reports a full bucket
+   */
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  /**
+   * Exponential backoff with jitter: between half and the full delay
+   */
+  backoff(attempt) {
+    const ceiling = Math.min(this.settings.maxDelayMs, this.settings.baseDelayMs * 2 ** attempt);
+    return ceiling / 2 + this.random() * ceiling / 2;
+  }
+
+  schedule(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.pump();
+    });
+  }
+
+  pump() {
+    if (this.timer) {
+      return;
+    }
+    while (this.queue.length > 0 && this.active < this.settings.concurrency) {
+      const now = Date.now();
+      const startAt = Math.max(this.nextStartAt, this.pausedUntil);
+      if (startAt > now) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.pump();
+        }, startAt - now);
+        return;
+      }
+
+      const interval = this.settings.requestsPerSecond > 0 ? 1000 / this.settings.requestsPerSecond : 0;
+      this.nextStartAt = now + interval;
+      const { task, resolve, reject } = this.queue.shift();
+      this.active += 1;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.active -= 1;
+          this.pump();
+        });
+    }
+  }
+}
+
+/**
+ * Route every request of an axios instance through `scheduler`, including
+ * calls made directly on the instance. `onResponse` sees each response.
+ */
+function attachScheduler(client, scheduler, options = {}) {
+  const send = axios.getAdapter(client.defaults.adapter);
+  client.defaults.adapter = config => scheduler.execute(async () => {
+    const response = await send(config);
+    if (options.onResponse) {
+      options.onResponse(response);
+    }
+    return response;
+  }, {
+    retrySafe: isRetrySafe(config),
+    replayable: isReplayable(config),
+    label: `${String(config.method).toUpperCase()} ${config.url}`
+  });
+  return client;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  RequestScheduler,
+  attachScheduler,
+  schedulerSettingsFromEnv,
+  parseRetryAfter,
+  isTransientError,
+  isRetrySafe,
+  isReplayable
+};
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+const { formatOre } = require('./pdf');
+
+// Salg som er (eller i dry-run ville blitt) bokført i kjøringen; det er disse MVA-summene gjelder.
+// `captured` er betalinger på salg bokført i en tidligere kjøring og summeres for seg, ellers telles omsetningen to ganger
+const BOOKED_OUTCOMES = ['created', 'resumed', 'reversed', 'dry-run'];
+const CAPTURED_OUTCOME = 'captured';
+
+const CSV_COLUMNS = [
+  'type', 'orderId', 'orderNumber', 'date', 'outcome', 'saleNumber', 'saleId', 'customerId', 'paymentIds',
+  'net', 'vat', 'gross', 'fee', 'feeSource', 'captured', 'shopifyTotal', 'difference', 'error'
+];
+
+/**
+ * Net, VAT and gross per Fiken VAT type of sale lines, in øre
+ */
+function sumByVatType(lines, sign = 1) {
+  const byVatType = {};
+  for (const line of lines || []) {
+    const entry = byVatType[line.vatType] || { net: 0, vat: 0, gross: 0 };
+    entry.net += sign * line.netAmount;
+    entry.vat += sign * line.vatAmount;
+    entry.gross += sign * (line.netAmount + line.vatAmount);
+    byVatType[line.vatType] = entry;
+  }
+  return byVatType;
+}
+
+function addVatTypes(target, byVatType) {
+  for (const [vatType, amounts] of Object.entries(byVatType || {})) {
+    const entry = target[vatType] || { net: 0, vat: 0, gross: 0 };
+    entry.net += amounts.net;
+    entry.vat += amounts.vat;
+    entry.gross += amounts.gross;
+    target[vatType] = entry;
+  }
+  return target;
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function nok(amount) {
+  return amount === null || amount === undefined ? '' : formatOre(amount);
+}
+
+/**
+ * One row per order (plus refunds and cancellations booked in the run)
+ * with outcome, Fiken IDs and amounts, and run totals per VAT type. Amounts
+ * are kept in øre and written as NOK.
+ */
+class RunReport {
+  constructor(options = {}) {
+    this.kind = options.kind || 'migration';
+    this.dryRun = Boolean(options.dryRun);
+    this.store = options.store || null;
+    this.companySlug = options.companySlug || null;
+    this.startedAt = new Date();
+    this.rows = [];
+  }
+
+  /**
+   * Add a row. `lines` are the sale lines (positive for sales, the credited
+   * lines for refunds and cancellations, see `sign`).
+   */
+  add(row) {
+    const { lines, sign = 1, ...fields } = row;
+    const byVatType = lines ? sumByVatType(lines, sign) : null;
+    const totals = byVatType
+      ? Object.values(byVatType).reduce((sum, entry) => ({
+        net: sum.net + entry.net,
+        vat: sum.vat + entry.vat,
+        gross: sum.gross + entry.gross
+      }), { net: 0, vat: 0, gross: 0 })
+      : { net: null, vat: null, gross: null };
+    const entry = {
+      type: 'sale',
+      orderId: null,
+      orderNumber: null,
+      date: null,
+      outcome: null,
+      saleNumber: null,
+      saleId: null,
+      customerId: null,
+      paymentIds: [],
+      ...totals,
+      byVatType: byVatType || {},
+      fee: null,
+      feeSource: null,
+      captured: null,
+      shopifyTotal: null,
+      difference: null,
+      error: null,
+      ...fields
+    };
+    if (entry.shopifyTotal !== null && entry.gross !== null && entry.difference === null) {
+      entry.difference = entry.shopifyTotal - entry.gross;
+    }
+    this.rows.push(entry);
+    return entry;
+  }
+
+  /**
+   * Counts per outcome, totals overall and per VAT type for the sales booked
+   * in the run, and the payments registered on sales booked in earlier runs
+   */
+  totals() {
+    const outcomes = {};
+    const booked = { net: 0, vat: 0, gross: 0, fee: 0, difference: 0, byVatType: {} };
+    const captured = { rows: 0, amount: 0, fee: 0 };
+    for (const row of this.rows) {
+      outcomes[row.outcome] = (outcomes[row.outcome] || 0) + 1;
+      if (row.outcome === CAPTURED_OUTCOME) {
+        captured.rows += 1;
+        captured.amount += row.captured || 0;
+        captured.fee += row.fee || 0;
+        continue;
+      }
+      if (!BOOKED_OUTCOMES.includes(row.outcome) || row.gross === null) {
+        continue;
+      }
+      booked.net += row.net;
+      booked.vat += row.vat;
+      booked.gross += row.gross;
+      booked.fee += row.fee || 0;
+      booked.difference += row.difference || 0;
+      addVatTypes(booked.byVatType, row.byVatType);
+    }
+    return { rows: this.rows.length, outcomes, booked, captured };
+  }
+
+  vatTypes() {
+    return [...new Set(this.rows.flatMap(row => Object.keys(row.byVatType)))].sort();
+  }
+
+  toJSON() {
+    return {
+      kind: this.kind,
+      dryRun: this.dryRun,
+      store: this.store,
+      companySlug: this.companySlug,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      amountsIn: 'ore',
+      totalsCover: {
+        booked: `Sales booked in this run (${BOOKED_OUTCOMES.join(', ')}); VAT totals cover these only`,
+        captured: 'Payments registered on sales booked in an earlier run; their sale amounts are not in booked'
+      },
+      totals: this.totals(),
+      rows: this.rows
+    };
+  }
+
+  /**
+   * CSV with NOK amounts, a net/VAT/gross column triple per VAT type, a
+   * `total` row over the booked rows and, when the run registered payments
+   * on earlier sales, a `total-captured` row
+   */
+  toCsv() {
+    const vatTypes = this.vatTypes();
+    const header = [...CSV_COLUMNS, ...vatTypes.flatMap(vatType => [`net_${vatType}`, `vat_${vatType}`, `gross_${vatType}`])];
+    const toCells = row => [
+      ...CSV_COLUMNS.map(column => {
+        if (['net', 'vat', 'gross', 'fee', 'captured', 'shopifyTotal', 'difference'].includes(column)) {
+          return nok(row[column]);
+        }
+        return column === 'paymentIds' ? (row.paymentIds || []).join(' ') : row[column];
+      }),
+      ...vatTypes.flatMap(vatType => {
+        const entry = row.byVatType[vatType];
+        return entry ? [nok(entry.net), nok(entry.vat), nok(entry.gross)] : ['', '', ''];
+      })
+    ];
+
+    const { booked, captured } = this.totals();
+    const emptyRow = { ...Object.fromEntries(CSV_COLUMNS.map(column => [column, null])), paymentIds: [], byVatType: {} };
+    const totalRows = [{
+      ...emptyRow,
+      type: 'total',
+      outcome: BOOKED_OUTCOMES.filter(outcome => this.rows.some(row => row.outcome === outcome)).join('+'),
+      ...booked
+    }];
+    if (captured.rows) {
+      totalRows.push({ ...emptyRow, type: 'total-captured', outcome: CAPTURED_OUTCOME, captured: captured.amount, fee: captured.fee });
+    }
+    return [header, ...this.rows.map(toCells), ...totalRows.map(toCells)]
+      .map(cells => cells.map(csvValue).join(','))
+      .join('\n') + '\n';
+  }
+
+  /**
+   * Write `<kind>-<timestamp>[-dry-run].json` and `.csv` to `dir`, returns
+   * both paths
+   */
+  write(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const stamp = this.startedAt.toISOString().replace(/[:.]/g, '-');
+    const base = path.join(dir, `${this.kind}-${stamp}${this.dryRun ? '-dry-run' : ''}`);
+    fs.writeFileSync(`${base}.json`, `${JSON.stringify(this.toJSON(), null, 2)}\n`);
+    fs.writeFileSync(`${base}.csv`, this.toCsv());
+    return { json: `${base}.json`, csv: `${base}.csv` };
+  }
+}
+
+module.exports = {
+  BOOKED_OUTCOMES,
+  CAPTURED_OUTCOME,
+  RunReport,
+  sumByVatType
+};
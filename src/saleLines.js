@@ -0,0 +1,301 @@
+const { toNumber, toOre } = require('./amounts');
+const {
+  DEFAULT_EXPORT_VAT_TYPE,
+  parseVatTypeMap,
+  resolveLineVat,
+  splitAmount,
+  splitShipping
+} = require('./vat');
+const {
+  getLineItemDiscounts,
+  getShippingDiscount,
+  describeDiscounts
+} = require('./discounts');
+const { annotateLines } = require('./currency');
+const { DEFAULT_GIFT_CARD_ACCOUNT } = require('./payments');
+const { accountRulesFromEnv, goodsAccount, shippingAccount } = require('./accountRules');
+
+// Øreavrunding opp til dette beløpet bokføres automatisk, større avvik må sjekkes
+const DEFAULT_ROUNDING_ACCOUNT = '7790';
+const DEFAULT_ROUNDING_TOLERANCE = 10;
+
+// Salg av varer til utlandet, avgiftsfritt
+const DEFAULT_EXPORT_ACCOUNT = '3100';
+
+/**
+ * One Fiken sale line. `details` may give the `quantity` (netPrice is then
+ * the unit price, so `net` must divide evenly by it; see quantityLines)
+ * and the `productId` of a synced product.
+ */
+function saleLine(description, account, vatType, net, vat, details = {}) {
+  const quantity = details.quantity || 1;
+  const line = {
+    description,
+    account,
+    vatType,
+    netPrice: net / quantity,
+    netAmount: net,
+    vat,
+    vatAmount: vat,
+    quantity
+  };
+  if (details.productId) {
+    line.productId = details.productId;
+  }
+  return line;
+}
+
+/**
+ * Sale lines for `details.quantity` units. Fiken computes a line as unit
+ * price × quantity, so øre that do not divide evenly by the quantity (often
+ * after a discount) go on a separate line with the same account and VAT
+ * type, and the product line keeps its real quantity.
+ */
+function quantityLines(description, account, vatType, net, vat, details = {}) {
+  const remainder = net % (details.quantity || 1);
+  if (!remainder) {
+    return [saleLine(description, account, vatType, net, vat, details)];
+  }
+  return [
+    saleLine(description, account, vatType, net - remainder, vat, details),
+    saleLine(`Avrunding enhetspris: ${description}`, account, vatType, remainder, 0)
+  ];
+}
+
+/**
+ * Quantity and Fiken product of a line item, when products are synced
+ * (`settings.products`, see products.js)
+ */
+function lineItemDetails(item, quantity, settings) {
+  return {
+    quantity,
+    productId: settings.products ? settings.products.productIdFor(item) : null
+  };
+}
+
+function addToBucket(buckets, vat, values) {
+  const key = `${vat.vatType}:${vat.rate}`;
+  const bucket = buckets.get(key) || { vatType: vat.vatType, rate: vat.rate, gross: 0, net: 0, vat: 0 };
+  Object.entries(values).forEach(([field, amount]) => {
+    bucket[field] += amount;
+  });
+  buckets.set(key, bucket);
+}
+
+/**
+ * Build the goods lines of an order. Also returns the gross per VAT bucket
+ * (used to split shipping) and the discounts per VAT bucket when discounts
+ * are booked on their own account.
+ */
+function buildGoodsLines(order, settings) {
+  const lines = [];
+  const taxesIncluded = order.taxes_included !== false;
+  const goodsBuckets = new Map();
+  const discountBuckets = new Map();
+  const itemDiscounts = getLineItemDiscounts(order);
+
+  (order.line_items || []).forEach((item, index) => {
+    const quantity = toNumber(item.quantity) || 1;
+    const unitPrice = toOre(item.price || item.price_set?.shop_money?.amount || 0);
+    const discount = itemDiscounts[index] || 0;
+
+    if (item.gift_card) {
+      // Solgte gavekort er gjeld til kunden, ikke inntekt, og har ikke MVA
+      lines.push(giftCardLine(item, unitPrice * quantity - discount, settings));
+      return;
+    }
+
+    const vat = resolveLineVat(item, order, settings.vatSettings);
+    const discounted = splitAmount(unitPrice * quantity - discount, vat, taxesIncluded);
+
+    let amounts = discounted;
+    if (settings.discountAccount && discount > 0) {
+      // Bokfør full pris på varelinjen og rabatten som egen linje med samme MVA
+      const discountAmounts = splitAmount(discount, { ...vat, taxAmount: null }, taxesIncluded);
+      amounts = {
+        net: discounted.net + discountAmounts.net,
+        vat: discounted.vat + discountAmounts.vat
+      };
+      addToBucket(discountBuckets, vat, { net: discountAmounts.net, vat: discountAmounts.vat });
+    }
+
+    const { account } = goodsAccount(item, order, settings);
+    lines.push(...quantityLines(item.title || 'Shopify product', account, vat.vatType, amounts.net, amounts.vat, lineItemDetails(item, quantity, settings)));
+    addToBucket(goodsBuckets, vat, { gross: discounted.net + discounted.vat });
+  });
+
+  return {
+    lines,
+    goodsBuckets: [...goodsBuckets.values()],
+    discountBuckets: [...discountBuckets.values()]
+  };
+}
+
+function giftCardLine(item, gross, settings) {
+  return saleLine(item.title || 'Gavekort', settings.giftCardAccount, 'NONE', gross, 0);
+}
+
+/**
+ * Split a gross amount over the goods VAT buckets of an order, one sale line
+ * per bucket. Used for shipping, which follows the VAT of the goods it carries.
+ */
+function splitByGoods(gross, goodsBuckets, description, account) {
+  const parts = splitShipping(gross, goodsBuckets);
+  return parts.map(part => saleLine(
+    parts.length > 1 ? `${description} (${part.vatType})` : description,
+    account,
+    part.vatType,
+    part.net,
+    part.vat
+  ));
+}
+
+function buildShippingLines(order, goodsBuckets, settings) {
+  const lines = [];
+  const taxesIncluded = order.taxes_included !== false;
+
+  for (const shipping of order.shipping_lines || []) {
+    const price = toOre(shipping.price || shipping.price_set?.shop_money?.amount || 0) - getShippingDiscount(shipping);
+    if (price <= 0) {
+      continue;
+    }
+
+    const title = shipping.title || 'Shipping';
+    const { account } = shippingAccount(order, settings);
+    const ownVat = resolveLineVat(shipping, order, settings.vatSettings);
+    const own = splitAmount(price, ownVat, taxesIncluded);
+    if (goodsBuckets.length) {
+      lines.push(...splitByGoods(own.net + own.vat, goodsBuckets, title, account));
+    } else {
+      lines.push(saleLine(title, account, ownVat.vatType, own.net, own.vat));
+    }
+  }
+
+  return lines;
+}
+
+function buildDiscountLines(order, discountBuckets, settings) {
+  const label = describeDiscounts(order);
+  return discountBuckets.map(discount => saleLine(
+    label ? `Rabatt (${label})` : 'Rabatt',
+    settings.discountAccount,
+    discount.vatType,
+    -discount.net,
+    -discount.vat
+  ));
+}
+
+/**
+ * Build the Fiken sale lines for a Shopify order. Amounts are expected in
+ * NOK already (see currency.js).
+ *
+ * `settings` holds `vatSettings` (see vat.js), `salesAccount`,
+ * `shippingAccount` (the defaults when no `accountRules` match, see
+ * accountRules.js), `exportAccount` (goods and shipping of exports),
+ * `giftCardAccount`, an optional `discountAccount` and
+ * optional `products` (a ProductCatalog) to link lines to Fiken products.
+ */
+function buildSaleLines(order, settings) {
+  const goods = buildGoodsLines(order, settings);
+  return annotateLines([
+    ...goods.lines,
+    ...buildShippingLines(order, goods.goodsBuckets, settings),
+    ...buildDiscountLines(order, goods.discountBuckets, settings)
+  ], order.exchange);
+}
+
+/**
+ * Make the sale add up to Shopify's total (`shopifyGross`, øre). A
+ * difference within `settings.roundingTolerance` øre is booked as an
+ * øreavrunding line without VAT on `settings.roundingAccount`. A larger one
+ * leaves the lines as they are and sets `review`.
+ */
+function applyRounding(lines, shopifyGross, settings) {
+  const difference = shopifyGross - calculateTotals(lines).gross;
+  if (difference === 0) {
+    return { lines, difference, review: false };
+  }
+  if (Math.abs(difference) > settings.roundingTolerance) {
+    return { lines, difference, review: true };
+  }
+  return {
+    lines: [...lines, saleLine('Øreavrunding', settings.roundingAccount, 'NONE', difference, 0)],
+    difference,
+    review: false
+  };
+}
+
+/**
+ * Line settings (accounts and VAT table) from environment variables
+ */
+function lineSettingsFromEnv(env = process.env) {
+  const salesAccount = env.SALES_ACCOUNT_CODE || '3000';
+  return {
+    vatSettings: {
+      defaultRate: parseFloat(env.VAT_RATE || '0.25'),
+      vatTypes: parseVatTypeMap(env.VAT_TYPE_MAP),
+      homeCountry: (env.HOME_COUNTRY_CODE || 'NO').toUpperCase(),
+      exportVatType: (env.EXPORT_VAT_TYPE || DEFAULT_EXPORT_VAT_TYPE).toUpperCase()
+    },
+    salesAccount,
+    shippingAccount: env.SHIPPING_ACCOUNT_CODE || salesAccount,
+    exportAccount: env.EXPORT_SALES_ACCOUNT_CODE || DEFAULT_EXPORT_ACCOUNT,
+    discountAccount: env.DISCOUNT_ACCOUNT_CODE || null,
+    giftCardAccount: env.GIFT_CARD_ACCOUNT_CODE || DEFAULT_GIFT_CARD_ACCOUNT,
+    accountRules: accountRulesFromEnv(env),
+    roundingAccount: env.ROUNDING_ACCOUNT_CODE || DEFAULT_ROUNDING_ACCOUNT,
+    roundingTolerance: parseInt(env.ROUNDING_TOLERANCE_ORE || String(DEFAULT_ROUNDING_TOLERANCE), 10),
+    saleNumberPrefix: env.SALE_NUMBER_PREFIX || '#'
+  };
+}
+
+function negateLine(line) {
+  return {
+    ...line,
+    netPrice: -line.netPrice,
+    netAmount: -line.netAmount,
+    vat: -line.vat,
+    vatAmount: -line.vatAmount
+  };
+}
+
+/**
+ * Fiken sale number of an order: `#1001`, or e.g. `SE-1001` with
+ * `saleNumberPrefix` "SE-"
+ */
+function getSaleNumber(order, settings = {}) {
+  return `${settings.saleNumberPrefix ?? '#'}${order.order_number || order.id}`;
+}
+
+function calculateTotals(lines) {
+  let net = 0;
+  let vat = 0;
+  lines.forEach(line => {
+    net += line.netAmount;
+    vat += line.vatAmount;
+  });
+  return {
+    net,
+    vat,
+    gross: net + vat
+  };
+}
+
+module.exports = {
+  DEFAULT_ROUNDING_ACCOUNT,
+  DEFAULT_ROUNDING_TOLERANCE,
+  DEFAULT_EXPORT_ACCOUNT,
+  getSaleNumber,
+  saleLine,
+  quantityLines,
+  lineItemDetails,
+  giftCardLine,
+  buildGoodsLines,
+  buildShippingLines,
+  buildSaleLines,
+  splitByGoods,
+  lineSettingsFromEnv,
+  negateLine,
+  calculateTotals,
+  applyRounding
+};
@@ -26,6 +26,18 @@ const {
 } = require('../lib/processor');
 const FikenAPI = require('../lib/fiken');
 const FikenSyncService = require('../lib/fikenSync');
+// Samme klient som importskriptene; refusjoner og kanselleringer bruker dens signaturer
+const FikenClient = require('./fiken');
+const { schedulerSettingsFromEnv } = require('./requestScheduler');
+const ShopifyAPI = require('./shopify');
+const RefundProcessor = require('./refunds');
+const CancellationProcessor = require('./cancellations');
+const JsonStore = require('./stateStore');
+const { CreditLedger } = require('./ledger');
+const { lineSettingsFromEnv } = require('./saleLines');
+const { paymentSettingsFromEnv } = require('./payments');
+const { loadRateTable, convertOrderToNok } = require('./currency');
+const { loadConfigOrExit } = require('./config');
 const {
   getCompanies,
   getCustomers,
@@ -37,16 +49,58 @@ const {
 } = require('../lib/fikenDb');
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
-const PORT = Number(process.env.PORT || 8787);
-const TEMP_DIR = process.env.LOCAL_TEMP_DIR || path.join('/var/tmp', 'protonord_shopify');
-
-// Shopify webhook secret - same for all webhooks from the same store
-const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || '';
+// Alle butikkprofilene valideres ved oppstart, ikke først ved første webhook
+const config = loadConfigOrExit({ validateStores: true });
+const { settings } = config;
+const PORT = settings.server.port;
+const TEMP_DIR = settings.server.tempDir;
 
 // Fiken API configuration
-const FIKEN_API_TOKEN = process.env.FIKEN_API_TOKEN || '';
+const FIKEN_API_TOKEN = settings.fiken.apiToken || '';
 const FIKEN_API_BASE_URL = 'https://api.fiken.no/api/v2';
 
+/**
+ * Refund and cancellation processing for one store profile (or the
+ * single-store configuration): its Fiken company, accounts, sale-number
+ * prefix and webhook secret
+ */
+function createStoreHandlers(storeConfig) {
+  const { settings: storeSettings, env } = storeConfig;
+  const fiken = new FikenClient(storeSettings.fiken.apiToken || '', undefined, schedulerSettingsFromEnv(env));
+  const companySlug = storeSettings.fiken.companySlug || '';
+  const rateTable = loadRateTable(storeSettings.currency.exchangeRatesFile);
+  const lineSettings = lineSettingsFromEnv(env);
+  const paymentSettings = paymentSettingsFromEnv(env);
+  const credits = new CreditLedger(path.join(storeSettings.stateDir, 'credits.json'));
+  const refundProcessor = new RefundProcessor({
+    fiken,
+    companySlug,
+    lineSettings,
+    paymentSettings,
+    shopify: storeSettings.shopify.shop
+      ? new ShopifyAPI(storeSettings.shopify.shop, storeSettings.shopify.accessToken)
+      : null,
+    rateTable,
+    credits
+  });
+  const cancellationProcessor = new CancellationProcessor({
+    fiken,
+    companySlug,
+    paymentSettings,
+    refunds: refundProcessor,
+    store: new JsonStore(path.join(storeSettings.stateDir, 'cancellations.json')),
+    credits,
+    saleNumberPrefix: lineSettings.saleNumberPrefix
+  });
+  return {
+    store: storeConfig.store,
+    webhookSecret: storeSettings.shopify.webhookSecret || '',
+    rateTable,
+    refundProcessor,
+    cancellationProcessor
+  };
+}
+
 function createApp() {
   const app = express();
   app.use(express.json({
@@ -73,7 +127,8 @@ function createApp() {
     res.json({
       uptime: process.uptime(),
       env: {
-        SHOPIFY_SHOP: process.env.SHOPIFY_SHOP || null,
+        SHOPIFY_SHOP: settings.shopify.shop,
+        STORES: config.storeNames,
         LOCAL_TEMP_DIR: TEMP_DIR
       },
       checkpoint,
@@ -84,8 +139,27 @@ function createApp() {
     });
   });
 
+  const fikenAPI = new FikenAPI(FIKEN_API_TOKEN);
+  const storeHandlers = new Map();
+
+  // Med flere butikker velges profilen fra X-Shopify-Shop-Domain; null for ukjente butikker
+  const handlersFor = req => {
+    const domain = req.get('x-shopify-shop-domain');
+    const store = config.storeNames.length ? config.storeForShop(domain) : null;
+    if (config.storeNames.length && !store) {
+      logger.warn({ shop: domain || null }, 'Webhook from unknown shop');
+      return null;
+    }
+    const key = store || '';
+    if (!storeHandlers.has(key)) {
+      storeHandlers.set(key, createStoreHandlers(store ? config.forStore(store) : config));
+    }
+    return storeHandlers.get(key);
+  };
+
   app.post('/webhooks/orders-paid', (req, res) => {
-    if (!verifyShopifySignature(req, SHOPIFY_WEBHOOK_SECRET)) {
+    const handlers = handlersFor(req);
+    if (!handlers || !verifyShopifySignature(req, handlers.webhookSecret)) {
       return res.status(401).send('invalid signature');
     }
 
@@ -93,7 +167,7 @@ function createApp() {
       const orderId = extractOrderId(req.body);
       if (orderId) {
         enqueueOrder(orderId);
-        logger.info({ orderId }, 'Order enqueued from webhook');
+        logger.info({ orderId, store: handlers.store }, 'Order enqueued from webhook');
       } else {
         logger.warn({ body: req.body }, 'Unable to determine order_id from webhook payload');
       }
@@ -105,26 +179,54 @@ function createApp() {
   });
 
   app.post('/webhooks/refunds-create', (req, res) => {
-    if (!verifyShopifySignature(req, SHOPIFY_WEBHOOK_SECRET)) {
+    const handlers = handlersFor(req);
+    if (!handlers || !verifyShopifySignature(req, handlers.webhookSecret)) {
       return res.status(401).send('invalid signature');
     }
 
-    logger.info({ refundId: req.body?.id }, 'Refund webhook received (processing pending)');
+    const refund = req.body;
+    if (!refund?.id || !refund?.order_id) {
+      logger.warn({ body: refund }, 'Refund webhook without id/order_id');
+      return res.status(202).json({ status: 'ignored' });
+    }
+
+    logger.info({ refundId: refund.id, orderId: refund.order_id }, 'Refund webhook received');
+    // Svarer Shopify med en gang; krediteringen kjøres i bakgrunnen
+    handlers.refundProcessor.processRefundWebhook(refund)
+      .then(result => {
+        logger.info({ refundId: refund.id, ...result }, 'Refund webhook processed');
+      })
+      .catch(err => {
+        logger.error({ err, refundId: refund.id, orderId: refund.order_id }, 'Failed to process refund webhook');
+      });
     return res.status(202).json({ status: 'accepted' });
   });
 
   app.post('/webhooks/orders-cancelled', (req, res) => {
-    if (!verifyShopifySignature(req, SHOPIFY_WEBHOOK_SECRET)) {
+    const handlers = handlersFor(req);
+    if (!handlers || !verifyShopifySignature(req, handlers.webhookSecret)) {
       return res.status(401).send('invalid signature');
     }
 
-    logger.info({ orderId: req.body?.id }, 'Order cancelled webhook received (processing pending)');
+    const order = req.body;
+    if (!order?.id) {
+      logger.warn({ body: order }, 'Order cancelled webhook without order id');
+      return res.status(202).json({ status: 'ignored' });
+    }
+
+    logger.info({ orderId: order.id, orderNumber: order.order_number }, 'Order cancelled webhook received');
+    Promise.resolve()
+      .then(() => handlers.cancellationProcessor.processCancellation(convertOrderToNok(order, { rateTable: handlers.rateTable })))
+      .then(result => {
+        logger.info({ orderId: order.id, ...result }, 'Order cancellation processed');
+      })
+      .catch(err => {
+        logger.error({ err, orderId: order.id }, 'Failed to process order cancellation');
+      });
     return res.status(202).json({ status: 'accepted' });
   });
 
   // Fiken API endpoints
-  const fikenAPI = new FikenAPI(FIKEN_API_TOKEN);
-
   app.get('/fiken/health', async (req, res) => {
     try {
       const health = await fikenAPI.healthCheck();
@@ -519,7 +621,7 @@ function start() {
   const app = createApp();
   app.locals.logger = logger;
 
-  if (process.env.DISABLE_PROCESSOR === 'true') {
+  if (settings.server.disableProcessor) {
     logger.warn('Order processor disabled via DISABLE_PROCESSOR=true');
   } else {
     initProcessor(logger);
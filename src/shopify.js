@@ -0,0 +1,202 @@
+const axios = require('axios');
+const pino = require('pino');
+const { RequestScheduler, attachScheduler } = require('./requestScheduler');
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+// REST-bøtta lekker 2 kall i sekundet; vi tar pause før den er full
+const CALL_LIMIT_HEADROOM = 4;
+const LEAK_RATE_PER_SECOND = 2;
+
+/**
+ * URL of the next page from a Shopify `Link` header, or null
+ */
+function getNextPageUrl(linkHeader) {
+  if (!linkHeader) {
+    return null;
+  }
+  const next = String(linkHeader)
+    .split(',')
+    .map(part => part.match(/<([^>]+)>\s*;\s*rel="?next"?/))
+    .find(Boolean);
+  return next ? next[1] : null;
+}
+
+class ShopifyAPI {
+  /**
+   * `options.baseUrl` points the client at another host, e.g. a local
+   * stand-in for Shopify in tests. `options.scheduler` is passed to
+   * RequestScheduler.
+   */
+  constructor(shopDomain, accessToken, options = {}) {
+    this.shopDomain = shopDomain;
+    this.apiVersion = options.apiVersion || '2024-07';
+    this.baseUrl = options.baseUrl || `https://${shopDomain}/admin/api/${this.apiVersion}`;
+    this.scheduler = new RequestScheduler({ service: 'Shopify API', requestsPerSecond: 2, ...options.scheduler });
+    this.client = attachScheduler(axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.scheduler.settings.timeoutMs,
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      }
+    }), this.scheduler, {
+      onResponse: response => this.throttle(response)
+    });
+  }
+
+  /**
+   * Slow down when X-Shopify-Shop-Api-Call-Limit (e.g. "38/40") is close to full
+   */
+  throttle(response) {
+    const header = response.headers?.['x-shopify-shop-api-call-limit'];
+    const match = header && String(header).match(/^(\d+)\/(\d+)$/);
+    if (!match) {
+      return;
+    }
+    const used = parseInt(match[1], 10);
+    const limit = parseInt(match[2], 10);
+    const excess = used - (limit - CALL_LIMIT_HEADROOM);
+    if (excess > 0) {
+      const waitMs = Math.ceil(excess / LEAK_RATE_PER_SECOND * 1000);
+      logger.warn({ used, limit, waitMs }, 'Shopify API call limit nearly reached, pausing');
+      this.scheduler.pause(waitMs);
+    }
+  }
+
+  /**
+   * Get a single order including refunds and transactions
+   */
+  async getOrder(orderId) {
+    try {
+      const response = await this.client.get(`/orders/${orderId}.json`, {
+        params: { status: 'any' }
+      });
+      logger.info({ orderId }, 'Retrieved order from Shopify');
+      return response.data.order;
+    } catch (error) {
+      logger.error({ error: error.message, orderId, status: error.response?.status }, 'Failed to get order from Shopify');
+      throw error;
+    }
+  }
+
+  /**
+   * Transactions of an order (sales, captures, refunds with gateway and fees)
+   */
+  async getTransactions(orderId) {
+    try {
+      const response = await this.client.get(`/orders/${orderId}/transactions.json`);
+      const transactions = response.data.transactions || [];
+      logger.info({ orderId, count: transactions.length }, 'Retrieved order transactions from Shopify');
+      return transactions;
+    } catch (error) {
+      logger.error({ error: error.message, orderId, status: error.response?.status }, 'Failed to get order transactions from Shopify');
+      throw error;
+    }
+  }
+
+  /**
+   * Orders with a given name/order number (any status)
+   */
+  async getOrdersByName(name) {
+    try {
+      const orderName = String(name).startsWith('#') ? String(name) : `#${name}`;
+      const response = await this.client.get('/orders.json', {
+        params: { name: orderName, status: 'any' }
+      });
+      const orders = response.data.orders || [];
+      logger.info({ name: orderName, count: orders.length }, 'Retrieved orders by name from Shopify');
+      return orders;
+    } catch (error) {
+      logger.error({ error: error.message, name, status: error.response?.status }, 'Failed to get orders by name from Shopify');
+      throw error;
+    }
+  }
+
+  /**
+   * Async iterator over all orders matching `params` (e.g. processed_at_min),
+   * following the cursor in the `Link` header page by page
+   */
+  async *iterateOrders(params = {}) {
+    yield* this.paginate('/orders.json', 'orders', { status: 'any', limit: 250, ...params });
+  }
+
+  /**
+   * Async iterator over Shopify Payments balance transactions (charges,
+   * refunds, adjustments, payouts with fee and net), newest first
+   */
+  async *iterateBalanceTransactions(params = {}) {
+    yield* this.paginate('/shopify_payments/balance/transactions.json', 'transactions', { limit: 250, ...params });
+  }
+
+  /**
+   * Async iterator over Shopify Payments payouts (filters such as date_min,
+   * date_max and status), newest first
+   */
+  async *iteratePayouts(params = {}) {
+    yield* this.paginate('/shopify_payments/payouts.json', 'payouts', { limit: 250, ...params });
+  }
+
+  /**
+   * Orders by Shopify order ID, limited to `fields` (e.g. "id,name,order_number")
+   */
+  async getOrdersByIds(ids, fields) {
+    const orders = [];
+    // ids-filteret tar maks 250 ordre per kall
+    for (let index = 0; index < ids.length; index += 250) {
+      const params = { ids: ids.slice(index, index + 250).join(','), status: 'any', limit: 250 };
+      if (fields) {
+        params.fields = fields;
+      }
+      for await (const order of this.paginate('/orders.json', 'orders', params)) {
+        orders.push(order);
+      }
+    }
+    return orders;
+  }
+
+  /**
+   * Products by Shopify product ID, limited to `fields`
+   */
+  async getProductsByIds(ids, fields) {
+    const products = [];
+    for (let index = 0; index < ids.length; index += 250) {
+      const params = { ids: ids.slice(index, index + 250).join(','), limit: 250 };
+      if (fields) {
+        params.fields = fields;
+      }
+      for await (const product of this.paginate('/products.json', 'products', params)) {
+        products.push(product);
+      }
+    }
+    return products;
+  }
+
+  /**
+   * Yield the `key` items of every page of a cursor paginated endpoint
+   */
+  async *paginate(path, key, params) {
+    let url = path;
+    let query = params;
+    let page = 0;
+    while (url) {
+      let response;
+      try {
+        response = await this.client.get(url, { params: query });
+      } catch (error) {
+        logger.error({ error: error.message, path, page, status: error.response?.status }, `Failed to list ${key} from Shopify`);
+        throw error;
+      }
+      const items = response.data[key] || [];
+      logger.info({ path, page, count: items.length }, `Retrieved ${key} page from Shopify`);
+      yield* items;
+
+      // Neste side har alle filtre i page_info, så bare URL-en brukes videre
+      url = getNextPageUrl(response.headers.link);
+      query = undefined;
+      page += 1;
+    }
+  }
+}
+
+module.exports = ShopifyAPI;
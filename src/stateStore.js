@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Small persisted key/value store backed by one JSON file. Every write is
+ * flushed through a temp file and rename so a crash never leaves a
+ * half-written file behind.
+ */
+class JsonStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = null;
+  }
+
+  load() {
+    if (this.data) {
+      return this.data;
+    }
+    if (fs.existsSync(this.filePath)) {
+      try {
+        this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`State file ${this.filePath} is not valid JSON: ${error.message}`);
+      }
+    } else {
+      this.data = {};
+    }
+    return this.data;
+  }
+
+  has(key) {
+    return Object.prototype.hasOwnProperty.call(this.load(), String(key));
+  }
+
+  get(key) {
+    return this.load()[String(key)] || null;
+  }
+
+  set(key, value) {
+    this.load()[String(key)] = value;
+    this.save();
+    return value;
+  }
+
+  /**
+   * Shallow-merge `changes` into the entry stored under `key`
+   */
+  update(key, changes) {
+    return this.set(key, { ...(this.get(key) || {}), ...changes });
+  }
+
+  values() {
+    return Object.values(this.load());
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonStore;
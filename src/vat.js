@@ -0,0 +1,185 @@
+const { toNumber, toOre } = require('./amounts');
+
+// Norske MVA-satser mappet til Fikens vatType for salg
+const DEFAULT_VAT_TYPES = {
+  '0.25': 'HIGH',
+  '0.15': 'MEDIUM',
+  '0.12': 'LOW',
+  '0.1111': 'RAW_FISH',
+  '0': 'EXEMPT'
+};
+
+const RATE_TOLERANCE = 0.0005;
+
+// Fikens MVA-type for utførsel av varer (kode 52)
+const DEFAULT_EXPORT_VAT_TYPE = 'EXEMPT_IMPORT_EXPORT';
+
+// Svalbard og Jan Mayen er utenfor merverdiavgiftsområdet, også med norsk adresse
+const SVALBARD_JAN_MAYEN = 'SJ';
+const SVALBARD_JAN_MAYEN_ZIP = /^(917\d|8099)$/;
+
+/**
+ * Parse a rate → vatType table, either as an object or a JSON string
+ * such as {"0.25":"HIGH","0.15":"MEDIUM","0":"EXEMPT"}
+ */
+function parseVatTypeMap(value) {
+  let table = value;
+  if (!table) {
+    table = DEFAULT_VAT_TYPES;
+  } else if (typeof table === 'string') {
+    try {
+      table = JSON.parse(table);
+    } catch (error) {
+      throw new Error(`Invalid VAT type map: ${error.message}`);
+    }
+  }
+
+  return Object.entries(table)
+    .map(([rate, vatType]) => ({ rate: toNumber(rate), vatType: String(vatType).toUpperCase() }))
+    .sort((a, b) => b.rate - a.rate);
+}
+
+/**
+ * Find the Fiken vatType for a decimal VAT rate (0.25, 0.15, ...)
+ */
+function lookupVatType(rate, vatTypes) {
+  const match = vatTypes.find(entry => Math.abs(entry.rate - rate) < RATE_TOLERANCE);
+  if (!match) {
+    throw new Error(`No Fiken VAT type configured for rate ${rate}`);
+  }
+  return match.vatType;
+}
+
+/**
+ * Country the goods are shipped to, from `shipping_address.country_code`.
+ * Orders without a shipping address (pickup, digital goods) stay in
+ * `homeCountry`; Norwegian addresses on Svalbard and Jan Mayen count as SJ.
+ */
+function getDestinationCountry(order, homeCountry) {
+  const address = order.shipping_address;
+  const country = (address?.country_code || homeCountry).toUpperCase();
+  if (country === 'NO' && SVALBARD_JAN_MAYEN_ZIP.test(String(address?.zip || '').trim())) {
+    return SVALBARD_JAN_MAYEN;
+  }
+  return country;
+}
+
+function isDomestic(order, homeCountry) {
+  return getDestinationCountry(order, homeCountry) === homeCountry.toUpperCase();
+}
+
+/**
+ * Sum the tax lines of a Shopify line item (or shipping line)
+ */
+function readTaxLines(line) {
+  const taxLines = line.tax_lines || [];
+  if (!taxLines.length) {
+    return null;
+  }
+  return {
+    rate: taxLines.reduce((sum, tax) => sum + toNumber(tax.rate), 0),
+    amount: taxLines.reduce((sum, tax) => sum + toOre(tax.price), 0)
+  };
+}
+
+/**
+ * Decide VAT rate and type for a single line based on its tax lines,
+ * the taxable flag and the destination country of the order. Exports are
+ * zero-rated with `settings.exportVatType`.
+ */
+function resolveLineVat(line, order, settings) {
+  if (!isDomestic(order, settings.homeCountry)) {
+    return { vatType: settings.exportVatType || DEFAULT_EXPORT_VAT_TYPE, rate: 0, taxAmount: null, export: true };
+  }
+
+  if (line.taxable === false) {
+    return { vatType: lookupVatType(0, settings.vatTypes), rate: 0, taxAmount: 0 };
+  }
+
+  const taxes = readTaxLines(line);
+  const rate = taxes ? taxes.rate : settings.defaultRate;
+  return {
+    vatType: lookupVatType(rate, settings.vatTypes),
+    rate,
+    taxAmount: taxes ? taxes.amount : null
+  };
+}
+
+/**
+ * Split a line amount in øre into net and VAT. `amount` is the line total as
+ * stated by Shopify, which includes VAT only when `taxesIncluded` is set.
+ * For exports the whole gross, including any tax Shopify charged, is net.
+ */
+function splitAmount(amount, vat, taxesIncluded) {
+  if (vat.export) {
+    const gross = taxesIncluded ? amount : amount + (vat.taxAmount || 0);
+    return { net: gross, vat: 0 };
+  }
+
+  if (taxesIncluded) {
+    const vatAmount = vat.taxAmount ?? Math.round(amount - amount / (1 + vat.rate));
+    return { net: amount - vatAmount, vat: vatAmount };
+  }
+
+  const vatAmount = vat.taxAmount ?? Math.round(amount * vat.rate);
+  return { net: amount, vat: vatAmount };
+}
+
+/**
+ * Distribute a gross amount over VAT buckets in proportion to their gross,
+ * handing leftover øre to the largest buckets so the parts sum exactly.
+ */
+function allocateProportionally(gross, buckets) {
+  const total = buckets.reduce((sum, bucket) => sum + bucket.gross, 0);
+  if (total <= 0) {
+    return [];
+  }
+
+  const shares = buckets.map(bucket => {
+    const exact = gross * bucket.gross / total;
+    return { bucket, amount: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = gross - shares.reduce((sum, share) => sum + share.amount, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(share => {
+      if (leftover > 0) {
+        share.amount += 1;
+        leftover -= 1;
+      }
+    });
+
+  return shares.filter(share => share.amount > 0);
+}
+
+/**
+ * Split a gross shipping amount so it follows the VAT treatment of the goods
+ * it carries. Returns one part per goods VAT bucket.
+ */
+function splitShipping(gross, goodsBuckets) {
+  return allocateProportionally(gross, goodsBuckets).map(share => {
+    const { vatType, rate } = share.bucket;
+    const vatAmount = rate ? Math.round(share.amount - share.amount / (1 + rate)) : 0;
+    return {
+      vatType,
+      rate,
+      net: share.amount - vatAmount,
+      vat: vatAmount
+    };
+  });
+}
+
+module.exports = {
+  DEFAULT_VAT_TYPES,
+  DEFAULT_EXPORT_VAT_TYPE,
+  parseVatTypeMap,
+  lookupVatType,
+  getDestinationCountry,
+  isDomestic,
+  readTaxLines,
+  resolveLineVat,
+  splitAmount,
+  allocateProportionally,
+  splitShipping
+};
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  lookupRate,
+  convertOrderToNok,
+  describeExchange,
+  annotateLines
+} = require('../src/currency');
+
+function money(shop, shopCurrency, presentment, presentmentCurrency) {
+  return {
+    shop_money: { amount: shop, currency_code: shopCurrency },
+    presentment_money: { amount: presentment, currency_code: presentmentCurrency }
+  };
+}
+
+test('lookupRate falls back to the closest earlier date', () => {
+  const rateTable = { EUR: { '2025-09-01': 11.72, '2025-09-03': 11.69 }, SEK: 0.99 };
+  assert.equal(lookupRate(rateTable, 'EUR', '2025-09-02'), 11.72);
+  assert.equal(lookupRate(rateTable, 'EUR', '2025-08-31'), null);
+  assert.equal(lookupRate(rateTable, 'SEK', '2025-09-02'), 0.99);
+  assert.equal(lookupRate(rateTable, 'USD', '2025-09-02'), null);
+});
+
+test('a NOK shop uses the shop_money amounts and the rate Shopify applied', () => {
+  const order = {
+    processed_at: '2025-09-02T10:00:00+02:00',
+    currency: 'EUR',
+    presentment_currency: 'EUR',
+    total_price: '10.00',
+    total_price_set: money('117.20', 'NOK', '10.00', 'EUR'),
+    line_items: [{ price: '8.00', price_set: money('93.76', 'NOK', '8.00', 'EUR') }]
+  };
+  const converted = convertOrderToNok(order);
+  assert.equal(converted.currency, 'NOK');
+  assert.equal(converted.total_price, '117.20');
+  assert.equal(converted.line_items[0].price, '93.76');
+  assert.deepEqual(converted.exchange, { currency: 'EUR', rate: 11.72, source: 'shopify', originalTotal: '10.00', date: '2025-09-02' });
+});
+
+test('a foreign currency shop converts with the rate table', () => {
+  const order = {
+    processed_at: '2025-09-02T10:00:00Z',
+    currency: 'EUR',
+    total_price: '10.00',
+    total_tax: '2.00',
+    total_price_set: money('10.00', 'EUR', '10.00', 'EUR'),
+    transactions: [{ amount: '10.00', currency: 'EUR' }]
+  };
+  const converted = convertOrderToNok(order, { rateTable: { EUR: { '2025-09-01': 11.5 } } });
+  assert.equal(converted.total_price, '115.00');
+  assert.equal(converted.total_tax, '23.00');
+  assert.deepEqual(converted.transactions, [{ amount: '115.00', currency: 'NOK' }]);
+  assert.equal(converted.exchange.source, 'rate-table');
+  assert.throws(() => convertOrderToNok(order), /No exchange rate for EUR on 2025-09-02/);
+});
+
+test('a zero-total order in a NOK shop needs no rate', () => {
+  const order = {
+    processed_at: '2025-09-02T10:00:00Z',
+    currency: 'EUR',
+    presentment_currency: 'EUR',
+    total_price: '0.00',
+    total_price_set: money('0.00', 'NOK', '0.00', 'EUR'),
+    line_items: [{ price: '0.00', price_set: money('0.00', 'NOK', '0.00', 'EUR') }]
+  };
+  const converted = convertOrderToNok(order);
+  assert.equal(converted.exchange, null);
+  assert.equal(converted.total_price, '0.00');
+});
+
+test('NOK orders are returned unchanged once converted', () => {
+  const converted = convertOrderToNok({ currency: 'NOK', total_price: '100.00' });
+  assert.equal(converted.exchange, null);
+  assert.equal(convertOrderToNok(converted), converted);
+});
+
+test('annotateLines appends the currency and rate', () => {
+  const exchange = { currency: 'EUR', rate: 11.72 };
+  assert.equal(describeExchange(exchange), 'EUR, kurs 11.72');
+  assert.deepEqual(annotateLines([{ description: 'Genser' }], exchange), [{ description: 'Genser (EUR, kurs 11.72)' }]);
+  assert.deepEqual(annotateLines([{ description: 'Genser' }], null), [{ description: 'Genser' }]);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  sumDiscountAllocations,
+  getLineItemDiscounts,
+  getShippingDiscount,
+  describeDiscounts
+} = require('../src/discounts');
+
+test('sumDiscountAllocations reads amount or amount_set', () => {
+  assert.equal(sumDiscountAllocations({
+    discount_allocations: [{ amount: '10.00' }, { amount_set: { shop_money: { amount: '2.50' } } }]
+  }), 1250);
+  assert.equal(sumDiscountAllocations({}), 0);
+});
+
+test('getLineItemDiscounts uses the allocations when a line has one', () => {
+  const order = {
+    total_discounts: '50.00',
+    line_items: [
+      { price: '100.00', quantity: 1, discount_allocations: [{ amount: '20.00' }] },
+      { price: '100.00', quantity: 1, discount_allocations: [] }
+    ]
+  };
+  assert.deepEqual(getLineItemDiscounts(order), [2000, 0]);
+});
+
+test('getLineItemDiscounts spreads total_discounts by line value without allocations', () => {
+  const order = {
+    total_discounts: '40.00',
+    line_items: [
+      { price: '100.00', quantity: 3 },
+      { price: '100.00', quantity: 1 }
+    ],
+    shipping_lines: [{ price: '69.00', discounted_price: '59.00' }]
+  };
+  // Fraktrabatten (10 kr) er trukket fra fraktlinjen og holdes utenfor
+  assert.deepEqual(getLineItemDiscounts(order), [2250, 750]);
+});
+
+test('getShippingDiscount prefers allocations over discounted_price', () => {
+  assert.equal(getShippingDiscount({ price: '69.00', discount_allocations: [{ amount: '69.00' }], discounted_price: '10.00' }), 6900);
+  assert.equal(getShippingDiscount({ price: '69.00', discounted_price: '49.00' }), 2000);
+  assert.equal(getShippingDiscount({ price: '69.00' }), 0);
+});
+
+test('describeDiscounts lists codes and titles once', () => {
+  const order = {
+    discount_applications: [{ code: 'SOMMER' }, { title: 'Black Friday' }],
+    discount_codes: [{ code: 'SOMMER' }]
+  };
+  assert.equal(describeDiscounts(order), 'SOMMER, Black Friday');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImportLedger = require('../src/ledger');
+const { CreditLedger } = require('../src/ledger');
+
+function tempFile(t, name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, name);
+}
+
+const order = { id: 555, order_number: 1001 };
+
+test('ImportLedger records the steps of an import and persists them', t => {
+  const filePath = tempFile(t, 'imports.json');
+  const ledger = new ImportLedger(filePath);
+  ledger.recordSale(order, '#1001', 42);
+  ledger.recordStep(order.id, 'bankPayment', { paymentId: 7, account: '1920', amount: 12500 });
+
+  assert.equal(ledger.hasStep(order.id, 'bankPayment'), true);
+  assert.equal(ledger.hasStep(order.id, 'attachment'), false);
+  assert.deepEqual(ledger.incomplete().map(entry => entry.saleNumber), ['#1001']);
+
+  ledger.markCompleted(order.id);
+  const reloaded = new ImportLedger(filePath);
+  assert.equal(reloaded.isCompleted(order.id), true);
+  assert.equal(reloaded.get(order.id).saleId, 42);
+  assert.deepEqual(reloaded.incomplete(), []);
+  assert.throws(() => reloaded.recordStep(999, 'attachment'), /No ledger entry for order 999/);
+});
+
+test('ImportLedger sums captures per account for orders awaiting payment', t => {
+  const ledger = new ImportLedger(tempFile(t, 'imports.json'));
+  ledger.recordSale(order, '#1001', 42);
+  ledger.markAwaitingPayment(order.id);
+  ledger.recordStep(order.id, 'capture:1920:1', { paymentId: 1, account: '1920', amount: 4700, captured: 5000 });
+  ledger.recordStep(order.id, 'capture:1920:2', { paymentId: 2, account: '1920', amount: 3000 });
+  ledger.recordStep(order.id, 'feePayment', { paymentId: 3, account: '1920', amount: 300 });
+
+  assert.equal(ledger.isAwaitingPayment(order.id), true);
+  assert.deepEqual(ledger.capturedByAccount(order.id), { 1920: 8000 });
+  assert.deepEqual(ledger.incomplete(), []);
+});
+
+test('ImportLedger keeps refunds only for orders it knows', t => {
+  const ledger = new ImportLedger(tempFile(t, 'imports.json'));
+  assert.equal(ledger.recordRefund(order.id, 77, { saleNumber: '#1001-R77' }), null);
+  ledger.recordSale(order, '#1001', 42);
+  ledger.recordRefund(order.id, 77, { saleNumber: '#1001-R77' });
+  assert.equal(ledger.get(order.id).refunds[77].saleNumber, '#1001-R77');
+});
+
+test('CreditLedger keys credit sales by sale number and adopts sales found in Fiken', t => {
+  const credits = new CreditLedger(tempFile(t, 'credits.json'));
+  credits.recordSale(order, '#1001-R77', 43);
+  assert.equal(credits.get('#1001-R77').orderId, 555);
+  assert.equal(credits.get(order.id), null);
+
+  const adopted = credits.adoptSale(order, '#1001-C', {
+    saleId: 44,
+    salePayments: [{ paymentId: 8, account: '1920', amount: -12500 }],
+    saleAttachments: [{ identifier: 'kreditering.pdf' }]
+  });
+  assert.equal(adopted.saleId, 44);
+  assert.equal(adopted.steps.sale.adopted, true);
+  assert.equal(CreditLedger.paymentStep('1920'), 'payment:1920');
+  assert.deepEqual(
+    { paymentId: adopted.steps['payment:1920'].paymentId, amount: adopted.steps['payment:1920'].amount },
+    { paymentId: 8, amount: -12500 }
+  );
+  assert.equal(credits.hasStep('#1001-C', 'attachment'), true);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPayoutEntry } = require('../src/payouts');
+
+const settings = {
+  clearingAccount: '1580',
+  bankAccount: '1920',
+  feeAccount: '7770',
+  chargebackAccount: '7830',
+  adjustmentAccount: '7790',
+  includeChargeFees: false
+};
+
+const payout = { id: 9001, date: '2025-09-05', currency: 'NOK', amount: '620.00' };
+
+const transactions = [
+  { type: 'charge', amount: '500.00', fee: '12.00', source_order_id: 1 },
+  { type: 'charge', amount: '300.00', fee: '8.00', source_order_id: 2 },
+  { type: 'refund', amount: '-100.00', fee: '0.00', source_order_id: 1 },
+  { type: 'dispute', amount: '-50.00', fee: '15.00', source_order_id: 3 },
+  { type: 'adjustment', amount: '5.00', fee: '0.00' },
+  { type: 'payout', amount: '-620.00', fee: '0.00' }
+];
+
+test('buildPayoutEntry moves the payout, fees, chargebacks and adjustments off the clearing account', () => {
+  const { summary, payload } = buildPayoutEntry(payout, transactions, settings);
+  assert.deepEqual(
+    { sales: summary.sales, chargeFees: summary.chargeFees, fees: summary.fees, net: summary.net, orderIds: summary.orderIds },
+    { sales: 70000, chargeFees: 2000, fees: 1500, net: 62000, orderIds: ['1', '2', '3'] }
+  );
+  assert.deepEqual(payload, {
+    description: 'Shopify Payments utbetaling 9001',
+    journalEntries: [{
+      description: 'Shopify Payments utbetaling 9001',
+      date: '2025-09-05',
+      lines: [
+        { description: 'Utbetaling fra Shopify Payments', amount: 62000, debitAccount: '1920', creditAccount: '1580' },
+        { description: 'Gebyrer Shopify Payments', amount: 1500, debitAccount: '7770', creditAccount: '1580' },
+        { description: 'Tilbakeføringer (chargebacks)', amount: 5000, debitAccount: '7830', creditAccount: '1580' },
+        { description: 'Justeringer Shopify Payments', amount: 500, debitAccount: '1580', creditAccount: '7790' }
+      ]
+    }]
+  });
+});
+
+test('buildPayoutEntry includes charge fees only when asked to', () => {
+  const { summary, payload } = buildPayoutEntry(payout, transactions, { ...settings, includeChargeFees: true });
+  assert.equal(summary.fees, 3500);
+  assert.equal(payload.journalEntries[0].lines[1].amount, 3500);
+});
+
+test('buildPayoutEntry refuses payouts that cannot be booked', () => {
+  assert.throws(() => buildPayoutEntry({ ...payout, amount: '600.00' }, transactions, settings), /does not add up: transactions net 620.00 NOK, payout 600.00 NOK/);
+  assert.throws(() => buildPayoutEntry({ ...payout, currency: 'EUR' }, transactions, settings), /only NOK payouts/);
+  assert.throws(() => buildPayoutEntry(payout, transactions, { ...settings, clearingAccount: '1920' }), /Clearing and bank account are both 1920/);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RefundProcessor = require('../src/refunds');
+const { lineSettingsFromEnv, calculateTotals } = require('../src/saleLines');
+
+const refunds = new RefundProcessor({ lineSettings: lineSettingsFromEnv({}) });
+
+const order = {
+  order_number: 1001,
+  taxes_included: true,
+  shipping_address: { country_code: 'NO' },
+  line_items: [
+    { id: 1, title: 'Kopp', price: '125.00', quantity: 2 },
+    { id: 2, title: 'Sjokolade', price: '115.00', quantity: 1, tax_lines: [{ rate: '0.15', price: '15.00' }] }
+  ],
+  shipping_lines: [{ title: 'Posten', price: '69.00' }]
+};
+
+function refund(amount, fields = {}) {
+  return {
+    id: 77,
+    refund_line_items: [{ line_item_id: 1, quantity: 1, subtotal: '125.00', total_tax: '25.00' }],
+    transactions: amount === null ? undefined : [{ kind: 'refund', status: 'success', amount }],
+    ...fields
+  };
+}
+
+function summarize(lines) {
+  return lines.map(line => [line.description, line.account, line.vatType, line.netAmount, line.vatAmount]);
+}
+
+test('buildRefundLines credits the refunded items on the account and VAT of the sale', () => {
+  const lines = refunds.buildRefundLines(order, refund('125.00'));
+  assert.deepEqual(summarize(lines), [['Kreditering: Kopp', '3000', 'HIGH', 10000, 2500]]);
+  assert.equal(lines[0].quantity, 1);
+});
+
+test('buildRefundLines splits refunded shipping over the VAT of the goods', () => {
+  const lines = refunds.buildRefundLines(order, refund('194.00', {
+    refund_shipping_lines: [{ subtotal_amount: '69.00', total_tax_amount: '12.95' }]
+  }));
+  assert.deepEqual(summarize(lines), [
+    ['Kreditering: Kopp', '3000', 'HIGH', 10000, 2500],
+    ['Kreditering frakt (HIGH)', '3000', 'HIGH', 3781, 945],
+    ['Kreditering frakt (MEDIUM)', '3000', 'MEDIUM', 1890, 284]
+  ]);
+  assert.equal(calculateTotals(lines).gross, 19400);
+});
+
+test('buildRefundLines books money refunded beyond the items as a difference', () => {
+  const more = refunds.buildRefundLines(order, refund('131.25'));
+  assert.deepEqual(summarize(more).slice(1), [
+    ['Refusjonsavvik (HIGH)', '3000', 'HIGH', 342, 86],
+    ['Refusjonsavvik (MEDIUM)', '3000', 'MEDIUM', 171, 26]
+  ]);
+  assert.equal(calculateTotals(more).gross, 13125);
+
+  const less = refunds.buildRefundLines(order, refund('100.00'));
+  assert.equal(calculateTotals(less).gross, 10000);
+});
+
+test('buildRefundLines trusts the items when the refund has no transactions', () => {
+  const lines = refunds.buildRefundLines(order, refund(null));
+  assert.equal(calculateTotals(lines).gross, 12500);
+});
+
+test('a processor that books refunds needs a credit ledger', () => {
+  assert.throws(() => new RefundProcessor({ fiken: {}, lineSettings: lineSettingsFromEnv({}) }), /needs a CreditLedger/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getSaleNumber,
+  saleLine,
+  quantityLines,
+  buildSaleLines,
+  lineSettingsFromEnv,
+  negateLine,
+  calculateTotals,
+  applyRounding
+} = require('../src/saleLines');
+
+const settings = lineSettingsFromEnv({});
+
+test('quantityLines keeps the quantity and books leftover øre on its own line', () => {
+  assert.deepEqual(quantityLines('Kopp', '3000', 'HIGH', 30000, 7500, { quantity: 3 }), [
+    saleLine('Kopp', '3000', 'HIGH', 30000, 7500, { quantity: 3 })
+  ]);
+
+  const lines = quantityLines('Kopp', '3000', 'HIGH', 23200, 5800, { quantity: 3 });
+  assert.equal(lines.length, 2);
+  assert.deepEqual(
+    { netPrice: lines[0].netPrice, netAmount: lines[0].netAmount, quantity: lines[0].quantity, vatAmount: lines[0].vatAmount },
+    { netPrice: 7733, netAmount: 23199, quantity: 3, vatAmount: 5800 }
+  );
+  assert.deepEqual(lines[1], saleLine('Avrunding enhetspris: Kopp', '3000', 'HIGH', 1, 0));
+  assert.equal(calculateTotals(lines).net, 23200);
+});
+
+test('buildSaleLines books discounted goods and shipping with VAT', () => {
+  const order = {
+    order_number: 1001,
+    taxes_included: true,
+    shipping_address: { country_code: 'NO' },
+    line_items: [
+      { title: 'Kopp', price: '100.00', quantity: 3, discount_allocations: [{ amount: '10.00' }] }
+    ],
+    shipping_lines: [{ title: 'Posten', price: '69.00' }]
+  };
+  const lines = buildSaleLines(order, settings);
+  assert.deepEqual(lines.map(line => [line.description, line.account, line.vatType, line.netAmount, line.vatAmount, line.quantity]), [
+    ['Kopp', '3000', 'HIGH', 23199, 5800, 3],
+    ['Avrunding enhetspris: Kopp', '3000', 'HIGH', 1, 0, 1],
+    ['Posten', '3000', 'HIGH', 5520, 1380, 1]
+  ]);
+  assert.deepEqual(calculateTotals(lines), { net: 28720, vat: 7180, gross: 35900 });
+});
+
+test('buildSaleLines books the discount on its own account when one is set', () => {
+  const order = {
+    taxes_included: true,
+    line_items: [{ title: 'Kopp', price: '125.00', quantity: 1, discount_allocations: [{ amount: '25.00' }] }],
+    discount_codes: [{ code: 'SOMMER' }]
+  };
+  const lines = buildSaleLines(order, { ...settings, discountAccount: '3080' });
+  assert.deepEqual(lines.map(line => [line.description, line.account, line.netAmount, line.vatAmount]), [
+    ['Kopp', '3000', 10000, 2500],
+    ['Rabatt (SOMMER)', '3080', -2000, -500]
+  ]);
+});
+
+test('buildSaleLines books exports without VAT on the export account', () => {
+  const order = {
+    taxes_included: true,
+    shipping_address: { country_code: 'SE' },
+    line_items: [{ title: 'Kopp', price: '125.00', quantity: 1 }]
+  };
+  const [line] = buildSaleLines(order, settings);
+  assert.deepEqual([line.account, line.vatType, line.netAmount, line.vatAmount], ['3100', 'EXEMPT_IMPORT_EXPORT', 12500, 0]);
+});
+
+test('applyRounding books small differences and flags larger ones for review', () => {
+  const lines = [saleLine('Kopp', '3000', 'HIGH', 8000, 2000)];
+  assert.deepEqual(applyRounding(lines, 10000, settings), { lines, difference: 0, review: false });
+
+  const rounded = applyRounding(lines, 10003, settings);
+  assert.equal(rounded.review, false);
+  assert.deepEqual(rounded.lines[1], saleLine('Øreavrunding', '7790', 'NONE', 3, 0));
+
+  assert.deepEqual(applyRounding(lines, 10500, settings), { lines, difference: 500, review: true });
+});
+
+test('negateLine and getSaleNumber', () => {
+  const line = negateLine(saleLine('Kopp', '3000', 'HIGH', 8000, 2000));
+  assert.deepEqual([line.netPrice, line.netAmount, line.vat, line.vatAmount], [-8000, -8000, -2000, -2000]);
+  assert.equal(getSaleNumber({ order_number: 1001 }), '#1001');
+  assert.equal(getSaleNumber({ id: 55, order_number: 1001 }, { saleNumberPrefix: 'SE-' }), 'SE-1001');
+});
@@ -0,0 +1,99 @@
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const ShopifyAPI = require('../src/shopify');
+
+/**
+ * Local stand-in for the Shopify Admin API. `routes` maps a path to a
+ * handler returning `{ status, headers, body }` for the parsed request URL;
+ * every request is kept in `requests`.
+ */
+function startServer(t, routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    requests.push({ url, headers: req.headers });
+    const handler = routes[url.pathname];
+    const { status = 200, headers = {}, body = {} } = handler ? handler(url, requests.length) : { status: 404 };
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      t.after(() => new Promise(done => server.close(done)));
+      resolve({ baseUrl: `http://127.0.0.1:${server.address().port}`, requests });
+    });
+  });
+}
+
+function createClient(baseUrl) {
+  return new ShopifyAPI('test.myshopify.com', 'token', {
+    baseUrl,
+    scheduler: { requestsPerSecond: 0, baseDelayMs: 1, maxDelayMs: 5 }
+  });
+}
+
+test('iterateOrders follows the Link header and drops the filters after the first page', async t => {
+  let baseUrl;
+  const server = await startServer(t, {
+    '/orders.json': url => (url.searchParams.get('page_info') === 'next-page'
+      ? { body: { orders: [{ id: 3 }] } }
+      : {
+        headers: { Link: `<${baseUrl}/orders.json?limit=250&page_info=next-page>; rel="next"` },
+        body: { orders: [{ id: 1 }, { id: 2 }] }
+      })
+  });
+  baseUrl = server.baseUrl;
+
+  const ids = [];
+  for await (const order of createClient(baseUrl).iterateOrders({ processed_at_min: '2025-09-01T00:00:00' })) {
+    ids.push(order.id);
+  }
+
+  assert.deepEqual(ids, [1, 2, 3]);
+  const [first, second] = server.requests;
+  assert.equal(first.headers['x-shopify-access-token'], 'token');
+  assert.deepEqual(Object.fromEntries(first.url.searchParams), { status: 'any', limit: '250', processed_at_min: '2025-09-01T00:00:00' });
+  assert.deepEqual(Object.fromEntries(second.url.searchParams), { limit: '250', page_info: 'next-page' });
+});
+
+test('a nearly full call limit bucket pauses the next requests', async t => {
+  const { baseUrl } = await startServer(t, {
+    '/orders/1/transactions.json': () => ({ headers: { 'X-Shopify-Shop-Api-Call-Limit': '37/40' }, body: { transactions: [] } }),
+    '/orders/2/transactions.json': () => ({ headers: { 'X-Shopify-Shop-Api-Call-Limit': '20/40' }, body: { transactions: [] } })
+  });
+  const shopify = createClient(baseUrl);
+
+  await shopify.getTransactions(2);
+  assert.equal(shopify.scheduler.pausedUntil, 0);
+
+  // Ett kall over grensen minus margin, og bøtta lekker 2 kall i sekundet: et halvt sekunds pause
+  await shopify.getTransactions(1);
+  const started = Date.now();
+  await shopify.getTransactions(2);
+  const waited = Date.now() - started;
+  assert.ok(waited >= 400 && waited < 1500, `waited ${waited} ms`);
+});
+
+test('a 429 is retried after Retry-After', async t => {
+  const { baseUrl, requests } = await startServer(t, {
+    '/orders/1/transactions.json': (url, count) => (count === 1
+      ? { status: 429, headers: { 'Retry-After': '0' }, body: { errors: 'Exceeded 2 calls per second' } }
+      : { body: { transactions: [{ id: 10, kind: 'sale' }] } })
+  });
+
+  const transactions = await createClient(baseUrl).getTransactions(1);
+  assert.deepEqual(transactions, [{ id: 10, kind: 'sale' }]);
+  assert.equal(requests.length, 2);
+});
+
+test('a 403 is not retried', async t => {
+  const { baseUrl, requests } = await startServer(t, {
+    '/orders/1/transactions.json': () => ({ status: 403, body: { errors: 'Forbidden' } })
+  });
+
+  await assert.rejects(createClient(baseUrl).getTransactions(1), error => error.response.status === 403);
+  assert.equal(requests.length, 1);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseVatTypeMap,
+  lookupVatType,
+  getDestinationCountry,
+  resolveLineVat,
+  splitAmount,
+  allocateProportionally,
+  splitShipping
+} = require('../src/vat');
+
+const settings = {
+  defaultRate: 0.25,
+  vatTypes: parseVatTypeMap(),
+  homeCountry: 'NO',
+  exportVatType: 'EXEMPT_IMPORT_EXPORT'
+};
+
+test('parseVatTypeMap reads a JSON table and upper-cases the VAT types', () => {
+  const vatTypes = parseVatTypeMap('{"0.15":"medium","0.25":"high"}');
+  assert.deepEqual(vatTypes, [{ rate: 0.25, vatType: 'HIGH' }, { rate: 0.15, vatType: 'MEDIUM' }]);
+  assert.throws(() => parseVatTypeMap('{'), /Invalid VAT type map/);
+});
+
+test('lookupVatType matches rates within the tolerance and rejects unknown rates', () => {
+  assert.equal(lookupVatType(0.25, settings.vatTypes), 'HIGH');
+  assert.equal(lookupVatType(0.111111, settings.vatTypes), 'RAW_FISH');
+  assert.throws(() => lookupVatType(0.2, settings.vatTypes), /No Fiken VAT type configured for rate 0.2/);
+});
+
+test('getDestinationCountry treats Svalbard postcodes as SJ and missing addresses as domestic', () => {
+  assert.equal(getDestinationCountry({ shipping_address: { country_code: 'NO', zip: '9171' } }, 'NO'), 'SJ');
+  assert.equal(getDestinationCountry({ shipping_address: { country_code: 'no', zip: '0150' } }, 'NO'), 'NO');
+  assert.equal(getDestinationCountry({}, 'NO'), 'NO');
+});
+
+test('resolveLineVat uses the tax lines, the taxable flag and the destination', () => {
+  const domestic = { shipping_address: { country_code: 'NO' } };
+  assert.deepEqual(
+    resolveLineVat({ tax_lines: [{ rate: '0.15', price: '13.04' }] }, domestic, settings),
+    { vatType: 'MEDIUM', rate: 0.15, taxAmount: 1304 }
+  );
+  assert.deepEqual(resolveLineVat({ taxable: false }, domestic, settings), { vatType: 'EXEMPT', rate: 0, taxAmount: 0 });
+  assert.deepEqual(resolveLineVat({}, domestic, settings), { vatType: 'HIGH', rate: 0.25, taxAmount: null });
+  assert.deepEqual(
+    resolveLineVat({ tax_lines: [{ rate: '0.25', price: '20.00' }] }, { shipping_address: { country_code: 'SE' } }, settings),
+    { vatType: 'EXEMPT_IMPORT_EXPORT', rate: 0, taxAmount: null, export: true }
+  );
+});
+
+test('splitAmount splits gross or net amounts into net and VAT', () => {
+  assert.deepEqual(splitAmount(12500, { rate: 0.25, taxAmount: null }, true), { net: 10000, vat: 2500 });
+  assert.deepEqual(splitAmount(10000, { rate: 0.25, taxAmount: null }, false), { net: 10000, vat: 2500 });
+  // Oppgitt MVA fra Shopify vinner over beregnet
+  assert.deepEqual(splitAmount(12500, { rate: 0.25, taxAmount: 2499 }, true), { net: 10001, vat: 2499 });
+  assert.deepEqual(splitAmount(10000, { rate: 0, taxAmount: 2500, export: true }, false), { net: 12500, vat: 0 });
+});
+
+test('allocateProportionally hands leftover øre to the largest remainders', () => {
+  const shares = allocateProportionally(100, [{ gross: 1 }, { gross: 1 }, { gross: 1 }]);
+  assert.deepEqual(shares.map(share => share.amount), [34, 33, 33]);
+  assert.deepEqual(allocateProportionally(100, [{ gross: 0 }]), []);
+});
+
+test('splitShipping follows the VAT of the goods', () => {
+  const parts = splitShipping(10000, [
+    { vatType: 'HIGH', rate: 0.25, gross: 30000 },
+    { vatType: 'MEDIUM', rate: 0.15, gross: 10000 }
+  ]);
+  assert.deepEqual(parts, [
+    { vatType: 'HIGH', rate: 0.25, net: 6000, vat: 1500 },
+    { vatType: 'MEDIUM', rate: 0.15, net: 2174, vat: 326 }
+  ]);
+  assert.equal(parts.reduce((sum, part) => sum + part.net + part.vat, 0), 10000);
+});